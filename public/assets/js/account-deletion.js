@@ -0,0 +1,400 @@
+// Account deletion request flow for /deleteAccount/ (Play Store data-deletion
+// requirement): 1. email / phone of the account, 2. one-time code sent by the
+// backend, 3. whole account or chosen kinds of data, 4. confirmation with a
+// request ID, 5. status lookup by request ID (also reachable directly).
+//
+//   <div data-account-deletion hidden data-status="#statusId" data-endpoint="https://.../account-deletion">
+//     <form data-step="identify">, <form data-step="verify">, <form data-step="choose">,
+//     <div data-step="done">, <form data-step="status">
+//   </div>
+// [data-goto="<step>"] buttons switch steps, [data-field="<name>"] elements are
+// filled with response values. ?request=<id> opens the status step for that ID.
+// Endpoints (scripts/stub-backend.js implements them; on localhost
+// ?endpoint=http://localhost:4000/account-deletion points the page there):
+//   POST <endpoint>/otp, POST <endpoint>/verify, POST <endpoint>, POST <endpoint>/status
+// (the status lookup is a POST so the email / phone never ends up in a URL or access log)
+//
+// Validation, inline errors and POST retries come from /assets/js/contact-form.js
+// (window.ContactForm), which must be loaded first.
+(function (global) {
+    'use strict';
+
+    const DEFAULTS = {
+        endpoint: 'https://yogastra-backend-2d084cc0cf9e.herokuapp.com/account-deletion',
+        timeoutMs: 15000,
+    };
+    const STEPS = ['identify', 'verify', 'choose', 'done', 'status'];
+    const STORAGE_KEY = 'yogastraa-deletion-request'; // last request ID, to prefill the status lookup
+
+    const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+    const PHONE_RE = /^\+?[0-9]{8,15}$/;
+    const CODE_RE = /^[0-9]{6}$/;
+    const REQUEST_ID_RE = /^[A-Za-z0-9-]{4,40}$/;
+
+    const STATUS_TEXT = {
+        pending: 'Received: waiting to be processed.',
+        processing: 'In progress: your data is being deleted.',
+        completed: 'Completed: the data has been deleted.',
+        rejected: 'Closed without deleting anything. Contact us for details.',
+    };
+    const DATA_TYPE_TEXT = {
+        sessions: 'session history',
+        bookmarks: 'bookmarks & playlists',
+        preferences: 'preferences',
+        coach: 'Coach inputs',
+    };
+
+    function formatDate(iso) {
+        const date = new Date(iso);
+        return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /** error text for an email-or-phone field, '' when valid */
+    function identifierError(field) {
+        const message = global.ContactForm.validateField(field);
+        if (message || !field.value.trim()) return message;
+        const value = field.value.trim();
+        if (EMAIL_RE.test(value) || PHONE_RE.test(value.replace(/[\s().-]/g, ''))) return '';
+        return 'Enter the email address or phone number (with country code, like +91…) of your account.';
+    }
+
+    function patternError(field, re, text) {
+        const message = global.ContactForm.validateField(field);
+        if (message || !field.value.trim()) return message;
+        return re.test(field.value.trim()) ? '' : text;
+    }
+
+    async function readJson(response) {
+        try {
+            return await response.json();
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function attach(root, options = {}) {
+        if (!root || root.dataset.accountDeletionAttached || !global.ContactForm) return null;
+        root.dataset.accountDeletionAttached = 'true';
+        root.hidden = false; // hidden in the markup: without JS the page offers email instead
+        const { showFieldError, postJson, localEndpointOverride } = global.ContactForm;
+        const config = { ...DEFAULTS, ...options };
+        const endpoint = (localEndpointOverride() || options.endpoint || root.dataset.endpoint || DEFAULTS.endpoint).replace(/\/+$/, '');
+        const steps = {};
+        STEPS.forEach(name => { steps[name] = root.querySelector(`[data-step="${name}"]`); });
+        const status = (root.dataset.status && document.querySelector(root.dataset.status)) || (() => {
+            const el = document.createElement('div');
+            root.appendChild(el);
+            return el;
+        })();
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+
+        // what the backend has handed out so far in this flow
+        const state = { identifier: '', challengeId: '', token: '' };
+        let resendTimer = null;
+
+        function setStatus(text, kind) {
+            const classes = { success: 'text-success', error: 'text-danger' };
+            status.className = `mt-3 ${classes[kind] || 'text-muted'}`;
+            status.textContent = text;
+        }
+
+        function fill(name, value) {
+            root.querySelectorAll(`[data-field="${name}"]`).forEach(el => { el.textContent = value; });
+        }
+
+        function show(name, { keepStatus = false } = {}) {
+            STEPS.forEach(step => {
+                if (steps[step]) steps[step].hidden = step !== name;
+            });
+            root.querySelectorAll('[data-step-label]').forEach(li => {
+                if (li.dataset.stepLabel === name) li.setAttribute('aria-current', 'step');
+                else li.removeAttribute('aria-current');
+            });
+            if (!keepStatus) setStatus('', 'info');
+            const target = steps[name] && (steps[name].querySelector('input:not([type="hidden"]):not([disabled])') || steps[name]);
+            if (target) target.focus();
+        }
+
+        function setBusy(form, on, label) {
+            form.setAttribute('aria-busy', String(on));
+            const button = form.querySelector('button[type="submit"]');
+            if (!button) return;
+            if (!button.dataset.html) button.dataset.html = button.innerHTML;
+            button.disabled = on;
+            button.innerHTML = on ? `<span class="spinner-border spinner-border-sm me-2" aria-hidden="true"></span>${label}` : button.dataset.html;
+        }
+
+        /** validates `checks` ([field, errorFn]) inline; focuses the first invalid field */
+        function validate(checks) {
+            let firstInvalid = null;
+            for (const [field, check] of checks) {
+                const message = check(field);
+                showFieldError(field, message);
+                if (message && !firstInvalid) firstInvalid = field;
+                if (!field.dataset.validateBound) {
+                    field.dataset.validateBound = 'true';
+                    field.addEventListener('input', () => {
+                        if (field.classList.contains('is-invalid')) showFieldError(field, check(field));
+                    });
+                }
+            }
+            if (firstInvalid) {
+                setStatus('Please correct the highlighted fields.', 'error');
+                firstInvalid.focus();
+            }
+            return !firstInvalid;
+        }
+
+        /** runs `request` with the form busy; network failures (after the retries) end up in the status line */
+        async function send(form, label, request) {
+            setBusy(form, true, label);
+            try {
+                return await request();
+            } catch (error) {
+                console.error('Error:', error);
+                setStatus('We could not reach the server. Check your connection and try again.', 'error');
+                return null;
+            } finally {
+                setBusy(form, false);
+            }
+        }
+
+        function startResendCountdown(seconds) {
+            const button = steps.verify && steps.verify.querySelector('[data-action="resend"]');
+            if (!button) return;
+            clearInterval(resendTimer);
+            const label = button.dataset.label || (button.dataset.label = button.textContent.trim());
+            let left = Math.max(0, Math.round(seconds));
+            const tick = () => {
+                button.disabled = left > 0;
+                button.textContent = left > 0 ? `${label} (${left}s)` : label;
+                if (left-- <= 0) clearInterval(resendTimer);
+            };
+            tick();
+            resendTimer = setInterval(tick, 1000);
+        }
+
+        // 1. email / phone -> one-time code
+        async function requestCode(form) {
+            // not retried: a 429 means a code was just sent, asking again won't help
+            const response = await send(form, 'Sending code…', () => postJson(`${endpoint}/otp`, { identifier: state.identifier }, { retries: 0, timeoutMs: config.timeoutMs }));
+            if (!response) return false;
+            const data = await readJson(response);
+            if (response.ok) {
+                state.challengeId = data.challengeId;
+                fill('destination', data.destination || state.identifier);
+                fill('expiresIn', String(Math.round((data.expiresIn || 600) / 60)));
+                startResendCountdown(data.resendIn || 30);
+                return true;
+            }
+            if (response.status === 429) {
+                setStatus(`A code was sent a moment ago. You can ask for another one in ${data.retryAfter || 30} seconds.`, 'error');
+                if (steps.verify && !steps.verify.hidden) startResendCountdown(data.retryAfter || 30);
+            } else if (response.status === 422) {
+                setStatus('The server could not accept this email address or phone number. Please check it and try again.', 'error');
+            } else {
+                setStatus('We could not send a code right now. Please try again later.', 'error');
+            }
+            return false;
+        }
+
+        async function onIdentify(form) {
+            const field = form.elements.identifier;
+            if (!validate([[field, identifierError]])) return;
+            state.identifier = field.value.trim();
+            state.token = '';
+            if (await requestCode(form)) {
+                show('verify', { keepStatus: true });
+                setStatus('We sent you a one-time code.', 'success');
+            }
+        }
+
+        // 2. one-time code -> deletion token
+        async function onVerify(form) {
+            const field = form.elements.code;
+            if (!validate([[field, f => patternError(f, CODE_RE, 'Enter the 6-digit code from the message we sent.')]])) return;
+            // not retried: every attempt counts against the code, a retry could use up the last ones
+            const response = await send(form, 'Verifying…', () => postJson(`${endpoint}/verify`, { challengeId: state.challengeId, code: field.value.trim() }, { retries: 0, timeoutMs: config.timeoutMs }));
+            if (!response) return;
+            const data = await readJson(response);
+            if (response.ok) {
+                state.token = data.token;
+                form.reset();
+                show('choose');
+            } else if (response.status === 422) {
+                const left = Number.isFinite(data.attemptsLeft) ? ` ${data.attemptsLeft} ${data.attemptsLeft === 1 ? 'attempt' : 'attempts'} left.` : '';
+                showFieldError(field, `That code is not correct.${left}`);
+                setStatus('Please correct the highlighted fields.', 'error');
+                field.focus();
+            } else if (response.status === 410) {
+                form.reset();
+                show('identify', { keepStatus: true });
+                setStatus('That code has expired or was tried too many times. Request a new one.', 'error');
+            } else {
+                setStatus('We could not check the code right now. Please try again later.', 'error');
+            }
+        }
+
+        // 3. whole account or some kinds of data -> request ID
+        function syncDataTypes(form) {
+            const partial = form.elements.scope.value === 'data';
+            form.querySelectorAll('input[name="dataTypes"]').forEach(box => { box.disabled = !partial; });
+            const group = form.querySelector('[data-data-types]');
+            if (group && !partial && group.classList.contains('is-invalid')) showFieldError(group, '');
+        }
+
+        async function onChoose(form) {
+            // read live: validate() re-runs these checks on input
+            const chosenTypes = () => Array.from(form.querySelectorAll('input[name="dataTypes"]:checked')).map(box => box.value);
+            const group = form.querySelector('[data-data-types]');
+            const confirm = form.elements.confirm;
+            const checks = [];
+            if (group) checks.push([group, () => (form.elements.scope.value === 'data' && !chosenTypes().length ? 'Choose at least one kind of data to delete.' : '')]);
+            if (confirm) checks.push([confirm, f => (f.checked ? '' : 'Please confirm that you understand deletion is permanent.')]);
+            if (!validate(checks)) return;
+
+            const scope = form.elements.scope.value;
+            const dataTypes = chosenTypes();
+            // not retried: the token is single use, a retry after a lost response would fail with 401
+            // although the request was made (and starting again would make a second one)
+            const response = await send(form, 'Sending request…', () => postJson(endpoint, { token: state.token, scope, dataTypes: scope === 'data' ? dataTypes : [] }, { retries: 0, timeoutMs: config.timeoutMs }));
+            if (!response) return;
+            const data = await readJson(response);
+            if (response.ok) {
+                state.token = '';
+                remember(data.requestId);
+                fill('requestId', data.requestId);
+                fill('completeBy', formatDate(data.completeBy));
+                form.reset();
+                syncDataTypes(form);
+                show('done', { keepStatus: true });
+                setStatus('Your deletion request has been received.', 'success');
+            } else if (response.status === 401) {
+                show('identify', { keepStatus: true });
+                setStatus('Your verification has expired. Please start again.', 'error');
+            } else if (response.status === 400 || response.status === 422) {
+                setStatus('The server could not accept this request. Please check your choices and try again.', 'error');
+            } else {
+                setStatus('Error sending your request. Please try again later.', 'error');
+            }
+        }
+
+        // 5. status lookup: request ID + the email / phone it was made with.
+        // Only the ID is kept on the device (it may be shared); the email / phone is typed again.
+        function remember(requestId) {
+            try {
+                global.localStorage.setItem(STORAGE_KEY, JSON.stringify({ requestId }));
+            } catch (e) {
+                // private mode: the user still has the ID on screen
+            }
+        }
+
+        function remembered() {
+            try {
+                const last = JSON.parse(global.localStorage.getItem(STORAGE_KEY));
+                if (!last) return null;
+                // earlier versions kept the email / phone too
+                if ('identifier' in last) remember(last.requestId);
+                return { requestId: last.requestId };
+            } catch (e) {
+                return null;
+            }
+        }
+
+        function prefillStatus(requestId) {
+            const form = steps.status;
+            if (!form) return;
+            const last = remembered();
+            form.elements.requestId.value = requestId || (last && last.requestId) || '';
+            if (!form.elements.identifier.value) form.elements.identifier.value = state.identifier || '';
+        }
+
+        function describeRequest(data) {
+            const what = data.scope === 'account'
+                ? 'the whole account'
+                : (data.dataTypes || []).map(t => DATA_TYPE_TEXT[t] || t).join(', ');
+            const dates = [
+                data.receivedAt ? `requested ${formatDate(data.receivedAt)}` : '',
+                data.status !== 'completed' && data.completeBy ? `to be completed by ${formatDate(data.completeBy)}` : '',
+            ].filter(Boolean).join(', ');
+            return `${data.requestId}: ${STATUS_TEXT[data.status] || data.status} Deleting ${what}${dates ? ` (${dates})` : ''}.`;
+        }
+
+        async function onStatus(form) {
+            const idField = form.elements.requestId;
+            const identifier = form.elements.identifier;
+            if (!validate([
+                [idField, f => patternError(f, REQUEST_ID_RE, 'Enter the request ID from your confirmation, like DEL-20260101-0001.')],
+                [identifier, identifierError],
+            ])) return;
+            const body = { requestId: idField.value.trim(), identifier: identifier.value.trim() };
+            const response = await send(form, 'Checking…', () => postJson(`${endpoint}/status`, body, { timeoutMs: config.timeoutMs }));
+            if (!response) return;
+            const data = await readJson(response);
+            if (response.ok) {
+                setStatus(describeRequest(data), data.status === 'completed' ? 'success' : 'info');
+            } else if (response.status === 404) {
+                setStatus('We could not find a request with this ID for this email address or phone number.', 'error');
+            } else {
+                setStatus('We could not check the status right now. Please try again later.', 'error');
+            }
+        }
+
+        const handlers = { identify: onIdentify, verify: onVerify, choose: onChoose, status: onStatus };
+        Object.entries(handlers).forEach(([name, handler]) => {
+            const form = steps[name];
+            if (!form || form.tagName !== 'FORM') return;
+            form.noValidate = true;
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                if (form.getAttribute('aria-busy') !== 'true') handler(form);
+            });
+        });
+        if (steps.choose) {
+            steps.choose.addEventListener('change', (event) => {
+                if (event.target.name === 'scope') syncDataTypes(steps.choose);
+            });
+            syncDataTypes(steps.choose);
+        }
+
+        root.addEventListener('click', (event) => {
+            const goto = event.target.closest('[data-goto]');
+            if (goto) {
+                event.preventDefault();
+                if (goto.dataset.goto === 'status') prefillStatus();
+                show(goto.dataset.goto);
+                return;
+            }
+            const resend = event.target.closest('[data-action="resend"]');
+            if (resend && !resend.disabled) {
+                event.preventDefault();
+                requestCode(steps.verify).then(ok => { if (ok) setStatus('We sent you a new code.', 'success'); });
+            }
+        });
+
+        remembered(); // drops an email / phone stored by earlier versions
+        const linked = new URLSearchParams(global.location.search).get('request');
+        if (linked && steps.status) {
+            prefillStatus(linked);
+            show('status');
+        } else {
+            STEPS.forEach(step => {
+                if (steps[step]) steps[step].hidden = step !== 'identify';
+            });
+            const first = root.querySelector('[data-step-label="identify"]');
+            if (first) first.setAttribute('aria-current', 'step');
+        }
+
+        return { root, endpoint, show };
+    }
+
+    function attachAll(root = document) {
+        return Array.from(root.querySelectorAll('[data-account-deletion]')).map(el => attach(el)).filter(Boolean);
+    }
+
+    global.AccountDeletion = { attach, attachAll };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => attachAll());
+    else attachAll();
+})(window);
@@ -0,0 +1,218 @@
+// Cookie & analytics consent: Google Consent Mode defaults to "denied", and
+// gtag.js isn't loaded at all until the visitor accepts analytics. A banner asks
+// on the first visit; the choice is kept in localStorage and applied on every
+// later page load. YouTube embeds stay click-to-load facades (youtube-nocookie.com)
+// until media is accepted. Withdrawing consent deletes the Analytics cookies and
+// reloads the page if gtag.js or videos were already running in it.
+//
+// Every page loads it in <head>, instead of the gtag snippet:
+//   <script src="/assets/js/consent.js" defer></script>
+// data-messages='{"consentTitle": "...", ...}' on that tag translates the UI
+// (templates/locales/*.json, keys starting with "consent").
+//
+// Any element with data-consent-open opens the preferences dialog (the
+// "Manage cookies" footer link). Video facades (partials/video-embed.html):
+//   <div data-youtube-facade="<video id>" data-title="..."><a href="https://www.youtube.com/watch?v=...">...</a></div>
+(function (global) {
+    'use strict';
+
+    const GA_ID = 'G-32V4J2N9GX';
+    const STORAGE_KEY = 'yogastraa-consent';
+    const VERSION = 1; // bump when the categories change, to ask again
+
+    const MESSAGES = {
+        consentTitle: 'Cookies on Yogastraa',
+        consentText: 'We use Google Analytics to understand how the site is used, and YouTube for videos. Both only run if you allow them.',
+        consentAcceptAll: 'Accept all',
+        consentRejectAll: 'Reject all',
+        consentPreferences: 'Preferences',
+        consentSave: 'Save choices',
+        consentNecessary: 'Necessary',
+        consentNecessaryText: 'Remembers this choice and keeps articles available offline. Always on.',
+        consentAnalytics: 'Analytics',
+        consentAnalyticsText: 'Google Analytics: pages visited and time on site, to improve the content.',
+        consentMedia: 'Videos',
+        consentMediaText: 'Plays YouTube videos in the page (youtube-nocookie.com).',
+        consentPlayVideo: 'Play video',
+        consentVideoNotice: 'Playing the video loads it from YouTube.',
+        consentPrivacyPolicy: 'Privacy Policy',
+    };
+    const script = document.currentScript;
+    let messages = MESSAGES;
+    try {
+        messages = { ...MESSAGES, ...JSON.parse(script && script.dataset.messages || '{}') };
+    } catch (e) {
+        console.warn('Invalid consent messages', e);
+    }
+
+    // Consent Mode: queued before any tag can run
+    global.dataLayer = global.dataLayer || [];
+    function gtag() { global.dataLayer.push(arguments); }
+    global.gtag = global.gtag || gtag;
+    global.gtag('consent', 'default', {
+        ad_storage: 'denied',
+        ad_user_data: 'denied',
+        ad_personalization: 'denied',
+        analytics_storage: 'denied',
+    });
+
+    /** stored choice { analytics, media, updatedAt }, null when the visitor hasn't chosen (yet) */
+    function get() {
+        try {
+            const choice = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return choice && choice.version === VERSION ? choice : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /** remove Google Analytics cookies (_ga, _ga_<id>): on this host and the domains above it, where gtag.js puts them */
+    function clearAnalyticsCookies() {
+        const names = document.cookie.split(';').map(c => c.split('=')[0].trim()).filter(name => /^_ga(_.+)?$/.test(name));
+        const parts = location.hostname.split('.');
+        const domains = [''];
+        for (let i = 0; i < parts.length - 1; i++) domains.push(`; domain=.${parts.slice(i).join('.')}`);
+        for (const name of names) {
+            for (const domain of domains) document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain}`;
+        }
+    }
+
+    let tagLoaded = false;
+    let videosLoaded = false;
+    function apply(choice) {
+        global.gtag('consent', 'update', { analytics_storage: choice && choice.analytics ? 'granted' : 'denied' });
+        if (choice && choice.analytics && !tagLoaded) {
+            tagLoaded = true;
+            const tag = document.createElement('script');
+            tag.async = true;
+            tag.src = `https://www.googletagmanager.com/gtag/js?id=${GA_ID}`;
+            document.head.appendChild(tag);
+            global.gtag('js', new Date());
+            global.gtag('config', GA_ID);
+        }
+        if (choice && choice.media) document.querySelectorAll('[data-youtube-facade]').forEach(loadVideo);
+    }
+
+    function set(choice) {
+        const previous = get();
+        const stored = { version: VERSION, analytics: !!choice.analytics, media: !!choice.media, updatedAt: new Date().toISOString() };
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            // private mode: applies to this page only
+        }
+        hideBanner();
+        apply(stored);
+        if (!stored.analytics) clearAnalyticsCookies();
+        // analytics can't be switched off in a page where gtag.js already runs, nor loaded videos taken back
+        const mediaWithdrawn = videosLoaded && previous && previous.media && !stored.media;
+        if ((tagLoaded && !stored.analytics) || mediaWithdrawn) location.reload();
+    }
+
+    // --------------------------
+    // YouTube facades
+    // --------------------------
+    function loadVideo(facade, autoplay) {
+        const id = facade.dataset.youtubeFacade;
+        if (!/^[\w-]{6,}$/.test(id)) return;
+        const iframe = document.createElement('iframe');
+        iframe.src = `https://www.youtube-nocookie.com/embed/${id}${autoplay ? '?autoplay=1' : ''}`;
+        iframe.title = facade.dataset.title || 'YouTube video';
+        iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+        iframe.allowFullscreen = true;
+        facade.replaceChildren(iframe);
+        facade.removeAttribute('data-youtube-facade');
+        videosLoaded = true;
+    }
+
+    // --------------------------
+    // Banner & preferences dialog
+    // --------------------------
+    let banner = null;
+    let dialog = null;
+
+    function el(tag, attrs, ...children) {
+        const node = document.createElement(tag);
+        Object.entries(attrs || {}).forEach(([k, v]) => node.setAttribute(k, v));
+        node.append(...children);
+        return node;
+    }
+
+    function button(text, className, onClick) {
+        const b = el('button', { type: 'button', class: className }, text);
+        b.addEventListener('click', onClick);
+        return b;
+    }
+
+    function showBanner() {
+        if (banner) return;
+        banner = el('div', { class: 'position-fixed bottom-0 start-0 end-0 p-3 bg-white border-top shadow', style: 'z-index: 1080;', role: 'region', 'aria-label': messages.consentTitle },
+            el('div', { class: 'container d-flex flex-column flex-md-row align-items-md-center gap-3' },
+                el('div', { class: 'flex-grow-1' },
+                    el('p', { class: 'fw-bold mb-1' }, messages.consentTitle),
+                    el('p', { class: 'small mb-0' }, messages.consentText, ' ', el('a', { href: '/privacyPolicy/' }, messages.consentPrivacyPolicy))),
+                el('div', { class: 'd-flex flex-wrap gap-2' },
+                    button(messages.consentPreferences, 'btn btn-outline-secondary btn-sm', open),
+                    button(messages.consentRejectAll, 'btn btn-outline-secondary btn-sm', () => set({ analytics: false, media: false })),
+                    button(messages.consentAcceptAll, 'btn btn-primary btn-sm', () => set({ analytics: true, media: true })))));
+        document.body.appendChild(banner);
+    }
+
+    function hideBanner() {
+        if (banner) banner.remove();
+        banner = null;
+        if (dialog && dialog.open) dialog.close();
+    }
+
+    function option(name, title, text, checked, disabled) {
+        const input = el('input', { class: 'form-check-input', type: 'checkbox', role: 'switch', id: `consent-${name}`, name });
+        input.checked = checked;
+        input.disabled = disabled;
+        return el('div', { class: 'form-check form-switch mb-3' },
+            input,
+            el('label', { class: 'form-check-label fw-bold', for: `consent-${name}` }, title),
+            el('div', { class: 'small text-muted' }, text));
+    }
+
+    function open(event) {
+        if (event) event.preventDefault();
+        const choice = get() || { analytics: false, media: false };
+        if (dialog) dialog.remove();
+        const form = el('form', { method: 'dialog' },
+            el('h2', { class: 'h5 mb-3', id: 'consent-title' }, messages.consentTitle),
+            option('necessary', messages.consentNecessary, messages.consentNecessaryText, true, true),
+            option('analytics', messages.consentAnalytics, messages.consentAnalyticsText, choice.analytics, false),
+            option('media', messages.consentMedia, messages.consentMediaText, choice.media, false),
+            el('div', { class: 'd-flex flex-wrap justify-content-end gap-2 mt-4' },
+                button(messages.consentRejectAll, 'btn btn-outline-secondary btn-sm', () => set({ analytics: false, media: false })),
+                button(messages.consentSave, 'btn btn-outline-primary btn-sm', () => set({ analytics: form.elements.analytics.checked, media: form.elements.media.checked })),
+                button(messages.consentAcceptAll, 'btn btn-primary btn-sm', () => set({ analytics: true, media: true }))));
+        dialog = el('dialog', { class: 'border-0 rounded shadow p-4', style: 'max-width: 32rem; width: calc(100% - 2rem);', 'aria-labelledby': 'consent-title' }, form);
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    }
+
+    function init() {
+        const choice = get();
+        apply(choice);
+        if (!choice) showBanner();
+
+        document.addEventListener('click', (e) => {
+            const opener = e.target.closest('[data-consent-open]');
+            if (opener) {
+                open(e);
+                return;
+            }
+            // a click on a facade is consent for that one video
+            const facade = e.target.closest('[data-youtube-facade]');
+            if (facade) {
+                e.preventDefault();
+                loadVideo(facade, true);
+            }
+        });
+    }
+
+    global.Consent = { get, set, open };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+    else init();
+})(window);
@@ -0,0 +1,305 @@
+// Contact form component: validation with inline, accessible errors, a
+// honeypot + time-trap spam guard, loading state and retry with backoff.
+//
+// Attach it to any number of forms:
+//   <form data-contact-form data-status="#statusId" data-endpoint="https://.../message" novalidate>
+// Fields are read by `name` (name, email, message); limits come from the
+// usual required / minlength / maxlength / type="email" attributes.
+// The endpoint can also be set per page with window.YOGASTRAA_MESSAGE_ENDPOINT,
+// or on localhost with ?endpoint=http://localhost:4000/message (scripts/stub-backend.js).
+//
+// With /assets/js/message-queue.js loaded, messages that can't be sent are kept
+// in IndexedDB and sent later; data-service-worker="/contactUs/sw.js" registers
+// the worker that replays them through Background Sync.
+//
+// window.ContactForm also exposes the validation / error / POST helpers to other
+// forms (public/assets/js/account-deletion.js), so they behave the same way.
+(function (global) {
+    'use strict';
+
+    const DEFAULTS = {
+        endpoint: 'https://yogastra-backend-2d084cc0cf9e.herokuapp.com/message',
+        fields: ['name', 'email', 'message'],
+        minFillMs: 3000, // faster than this is a bot (time trap)
+        retries: 3, // extra attempts after a network / 5xx error
+        retryBaseMs: 1000, // backoff: 1s, 2s, 4s (+ jitter)
+        timeoutMs: 15000,
+        honeypotName: 'website',
+    };
+
+    const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function labelFor(field) {
+        const label = field.id && field.form.querySelector(`label[for="${field.id}"]`);
+        return (label ? label.textContent : field.name).trim();
+    }
+
+    /** error text for one field, '' when valid; value is trimmed first */
+    function validateField(field) {
+        const value = field.value.trim();
+        const label = labelFor(field);
+        const min = Number(field.getAttribute('minlength')) || 0;
+        const max = Number(field.getAttribute('maxlength')) || 0;
+        if (!value) return field.required ? `${label} is required.` : '';
+        if (min && value.length < min) return `${label} must be at least ${min} characters.`;
+        if (max && value.length > max) return `${label} must be at most ${max} characters.`;
+        if (field.type === 'email' && !EMAIL_RE.test(value)) return 'Enter a valid email address, like name@example.com.';
+        return '';
+    }
+
+    function showFieldError(field, message) {
+        let feedback = document.getElementById(`${field.id}Error`);
+        if (!feedback) {
+            feedback = document.createElement('div');
+            feedback.id = `${field.id}Error`;
+            feedback.className = 'invalid-feedback';
+            field.insertAdjacentElement('afterend', feedback);
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+            field.setAttribute('aria-describedby', [...describedBy, feedback.id].join(' '));
+        }
+        feedback.textContent = message;
+        field.classList.toggle('is-invalid', !!message);
+        if (message) field.setAttribute('aria-invalid', 'true');
+        else field.removeAttribute('aria-invalid');
+    }
+
+    function localEndpointOverride() {
+        if (!/^(localhost|127\.0\.0\.1|\[::1\])$/.test(global.location.hostname)) return null;
+        return new URLSearchParams(global.location.search).get('endpoint');
+    }
+
+    function isRetryable(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * POST `data` as JSON, retrying network errors and 408/429/5xx responses
+     * with exponential backoff. Resolves with the final Response; rejects only
+     * when every attempt failed at the network level.
+     */
+    async function postJson(url, data, options = {}) {
+        const { retries = DEFAULTS.retries, retryBaseMs = DEFAULTS.retryBaseMs, timeoutMs = DEFAULTS.timeoutMs, onRetry } = options;
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let error = null;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(data),
+                    signal: AbortSignal.timeout ? AbortSignal.timeout(timeoutMs) : undefined,
+                });
+            } catch (e) {
+                error = e;
+            }
+            if (response && !isRetryable(response.status)) return response;
+            if (attempt >= retries) {
+                if (response) return response;
+                throw error;
+            }
+            const delay = retryBaseMs * 2 ** attempt + Math.random() * 250;
+            if (onRetry) onRetry(attempt + 1, retries, delay);
+            await sleep(delay);
+        }
+    }
+
+    function attach(form, options = {}) {
+        if (!form || form.dataset.contactFormAttached) return null;
+        form.dataset.contactFormAttached = 'true';
+        const config = { ...DEFAULTS, ...options };
+        const endpoint = localEndpointOverride() || options.endpoint || form.dataset.endpoint || global.YOGASTRAA_MESSAGE_ENDPOINT || DEFAULTS.endpoint;
+        const queue = global.MessageQueue && global.MessageQueue.isSupported() ? global.MessageQueue : null;
+        const button = form.querySelector('button[type="submit"]');
+        const buttonHtml = button ? button.innerHTML : '';
+        const status = (form.dataset.status && document.querySelector(form.dataset.status)) || (() => {
+            const el = document.createElement('div');
+            form.insertAdjacentElement('afterend', el);
+            return el;
+        })();
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+
+        const fields = config.fields.map(name => form.elements[name]).filter(Boolean);
+        const touched = new Set();
+        let startedAt = Date.now();
+        let busy = false;
+
+        // honeypot: hidden from people & assistive tech, bots tend to fill every input
+        const trap = document.createElement('div');
+        trap.className = 'visually-hidden';
+        trap.setAttribute('aria-hidden', 'true');
+        trap.innerHTML = `<label>Leave this empty <input type="text" name="${config.honeypotName}" tabindex="-1" autocomplete="off"></label>`;
+        form.appendChild(trap);
+        const honeypot = form.elements[config.honeypotName];
+
+        form.noValidate = true; // our messages replace the browser bubbles
+        if (button) button.disabled = false;
+
+        function setStatus(text, kind) {
+            const classes = { success: 'text-success', error: 'text-danger', queued: 'text-warning-emphasis' };
+            status.className = `mt-3 ${classes[kind] || 'text-muted'}`;
+            status.textContent = text;
+        }
+
+        function setBusy(on) {
+            busy = on;
+            form.setAttribute('aria-busy', String(on));
+            if (!button) return;
+            button.disabled = on;
+            button.innerHTML = on ? '<span class="spinner-border spinner-border-sm me-2" aria-hidden="true"></span>Sending…' : buttonHtml;
+        }
+
+        function validate() {
+            let firstInvalid = null;
+            for (const field of fields) {
+                const message = validateField(field);
+                showFieldError(field, message);
+                if (message && !firstInvalid) firstInvalid = field;
+            }
+            return firstInvalid;
+        }
+
+        fields.forEach(field => {
+            field.addEventListener('blur', () => {
+                touched.add(field);
+                showFieldError(field, validateField(field));
+            });
+            field.addEventListener('input', () => {
+                if (touched.has(field)) showFieldError(field, validateField(field));
+            });
+        });
+
+        function resetForm() {
+            form.reset();
+            touched.clear();
+            fields.forEach(f => showFieldError(f, ''));
+            startedAt = Date.now();
+        }
+
+        /** keep the message for later; false when there is no queue to keep it in */
+        async function enqueue(data) {
+            if (!queue) return false;
+            try {
+                await queue.add(endpoint, data);
+            } catch (e) {
+                console.error('Could not queue message', e);
+                return false;
+            }
+            const synced = await queue.requestSync();
+            setStatus(`Your message couldn't be sent right now, so it was saved on this device. It will be sent automatically ${synced ? 'in the background as soon as possible' : 'next time you open this page while online'}.`, 'queued');
+            resetForm();
+            return true;
+        }
+
+        /** { sent, dropped } from MessageQueue.flush(): dropped messages were refused by the server (4xx) and are gone */
+        function reportReplay(result) {
+            if (!result) return;
+            const sent = result.sent ? (result.sent === 1 ? 'Your saved message has now been sent.' : `Your ${result.sent} saved messages have now been sent.`) : '';
+            if (result.dropped) {
+                const dropped = result.dropped === 1
+                    ? 'A message saved on this device could not be sent: the server did not accept it.'
+                    : `${result.dropped} messages saved on this device could not be sent: the server did not accept them.`;
+                setStatus(`${sent ? `${sent} ` : ''}${dropped} Please write to us again.`, 'error');
+            } else if (sent) {
+                setStatus(sent, 'success');
+            }
+        }
+
+        async function replayQueue() {
+            if (!queue || !global.navigator.onLine) return;
+            try {
+                if (await queue.count()) reportReplay(await queue.flush());
+            } catch (e) {
+                console.error('Could not send queued messages', e);
+            }
+        }
+
+        async function submit() {
+            if (busy) return;
+            const firstInvalid = validate();
+            fields.forEach(f => touched.add(f));
+            if (firstInvalid) {
+                setStatus('Please correct the highlighted fields.', 'error');
+                firstInvalid.focus();
+                return;
+            }
+            if (honeypot && honeypot.value) {
+                // don't tell a bot it was caught
+                setStatus('Message sent successfully!', 'success');
+                form.reset();
+                return;
+            }
+            if (Date.now() - startedAt < config.minFillMs) {
+                setStatus('That was quick! Please check your message and press Submit again in a few seconds.', 'error');
+                startedAt = Date.now(); // the next submit has to wait too, or a bot only needs to submit twice
+                return;
+            }
+
+            const data = {};
+            fields.forEach(f => { data[f.name] = f.value.trim(); });
+
+            if (queue && global.navigator.onLine === false) {
+                if (await enqueue(data)) return;
+            }
+
+            setBusy(true);
+            setStatus('Sending your message…', 'info');
+            try {
+                const response = await postJson(endpoint, data, {
+                    retries: config.retries,
+                    retryBaseMs: config.retryBaseMs,
+                    timeoutMs: config.timeoutMs,
+                    onRetry: (n, max) => setStatus(`Connection problem — retrying (${n}/${max})…`, 'info'),
+                });
+                if (response.ok) {
+                    setStatus('Message sent successfully!', 'success');
+                    resetForm();
+                } else if (isRetryable(response.status) && await enqueue(data)) {
+                    // server still failing after the retries: queued for later
+                } else if (response.status === 400 || response.status === 422) {
+                    setStatus('The server could not accept this message. Please check the fields and try again.', 'error');
+                } else {
+                    setStatus('Error sending message. Please try again later.', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                if (!await enqueue(data)) setStatus('We could not reach the server. Check your connection and try again.', 'error');
+            } finally {
+                setBusy(false);
+            }
+        }
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            submit();
+        });
+
+        if (queue) {
+            const sw = global.navigator.serviceWorker;
+            if (form.dataset.serviceWorker && sw) {
+                sw.register(form.dataset.serviceWorker).catch(e => console.warn('Service worker registration failed', e));
+                sw.addEventListener('message', (event) => {
+                    if (event.data && event.data.type === 'message-queue') reportReplay(event.data);
+                });
+            }
+            // without Background Sync this is what sends the queue: on the next visit or reconnect
+            global.addEventListener('online', replayQueue);
+            replayQueue();
+        }
+
+        return { form, validate, submit, endpoint };
+    }
+
+    function attachAll(root = document) {
+        return Array.from(root.querySelectorAll('form[data-contact-form]')).map(f => attach(f)).filter(Boolean);
+    }
+
+    global.ContactForm = { attach, attachAll, validateField, showFieldError, localEndpointOverride, isRetryable, postJson };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => attachAll());
+    else attachAll();
+})(window);
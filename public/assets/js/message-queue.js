@@ -0,0 +1,136 @@
+// Outbox for form submissions that couldn't be sent (offline, server down).
+// Entries live in IndexedDB so they survive reloads; they are replayed by the
+// service worker on Background Sync (public/contactUs/sw.js) or by the page on
+// its next visit / when the browser comes back online. Works in pages and in
+// service workers (importScripts), exposing self.MessageQueue.
+(function (global) {
+    'use strict';
+
+    const DB_NAME = 'yogastraa';
+    const DB_VERSION = 1;
+    const STORE = 'outbox';
+    const SYNC_TAG = 'contact-messages';
+    const LOCK_NAME = 'yogastraa-outbox'; // page & worker never replay at the same time
+
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    let dbPromise = null;
+    function openDb() {
+        if (!dbPromise) {
+            const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                if (!req.result.objectStoreNames.contains(STORE)) {
+                    req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            dbPromise = request(req).catch(e => {
+                dbPromise = null;
+                throw e;
+            });
+        }
+        return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+        const db = await openDb();
+        const tx = db.transaction(STORE, mode);
+        const result = await request(fn(tx.objectStore(STORE)));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    function isSupported() {
+        return !!global.indexedDB;
+    }
+
+    /** queue `data` for a JSON POST to `endpoint`; resolves with the entry id */
+    function add(endpoint, data) {
+        return withStore('readwrite', store => store.add({ endpoint, data, queuedAt: new Date().toISOString(), attempts: 0 }));
+    }
+
+    function all() {
+        return withStore('readonly', store => store.getAll());
+    }
+
+    function count() {
+        return withStore('readonly', store => store.count());
+    }
+
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    function put(entry) {
+        return withStore('readwrite', store => store.put(entry));
+    }
+
+    function withLock(fn) {
+        const locks = global.navigator && global.navigator.locks;
+        return locks ? locks.request(LOCK_NAME, fn) : fn();
+    }
+
+    /**
+     * Send every queued entry, oldest first. Sent entries and ones the server
+     * rejects outright (4xx other than 408/429) are removed; on a network error
+     * or 5xx the rest stay queued for later. Resolves { sent, dropped, remaining }.
+     */
+    function flush() {
+        return withLock(async () => {
+            const result = { sent: 0, dropped: 0, remaining: 0 };
+            const entries = await all();
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                let response = null;
+                try {
+                    response = await fetch(entry.endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(entry.data),
+                    });
+                } catch (e) {
+                    // still offline
+                }
+                if (response && response.ok) {
+                    await remove(entry.id);
+                    result.sent++;
+                } else if (response && response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+                    console.warn(`Dropping queued message ${entry.id}: HTTP ${response.status}`);
+                    await remove(entry.id);
+                    result.dropped++;
+                } else {
+                    entry.attempts++;
+                    await put(entry);
+                    result.remaining = entries.length - i;
+                    break;
+                }
+            }
+            return result;
+        });
+    }
+
+    /** ask the service worker to replay the queue once connectivity is back; false when unsupported */
+    async function requestSync() {
+        const nav = global.navigator;
+        if (!nav || !nav.serviceWorker || !('SyncManager' in global)) return false;
+        try {
+            const registration = await nav.serviceWorker.getRegistration();
+            if (!registration || !registration.sync) return false;
+            await registration.sync.register(SYNC_TAG);
+            return true;
+        } catch (e) {
+            console.warn('Background sync unavailable', e);
+            return false;
+        }
+    }
+
+    global.MessageQueue = { SYNC_TAG, isSupported, add, all, count, remove, flush, requestSync };
+})(self);
@@ -0,0 +1,47 @@
+// "Tip of the day" widget: shows one tip from /knowledge/tips/daily.json
+// (written by scripts/generate-articles.js), the same tip all day for everyone
+// on a given date, the next one tomorrow.
+//
+// Embed it on any page:
+//   <div data-tip-of-the-day hidden>
+//     <p data-tip-text></p>
+//     <a data-tip-link href="/knowledge/tips/">Read more</a>
+//   </div>
+//   <script src="/assets/js/tip-of-the-day.js" defer></script>
+// data-tip-of-the-day="<url>" reads the tips from another JSON file.
+(function (global) {
+    'use strict';
+
+    const SOURCE = '/knowledge/tips/daily.json';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /** the tip for `date` (local calendar day); tips must keep a stable order */
+    function pick(tips, date = new Date()) {
+        if (!tips.length) return null;
+        const day = Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+        return tips[day % tips.length];
+    }
+
+    async function render(el, date) {
+        const response = await fetch(el.dataset.tipOfTheDay || SOURCE);
+        if (!response.ok) throw new Error(`Failed to load tips: ${response.status}`);
+        const tip = pick((await response.json()).tips || [], date);
+        if (!tip) return;
+        const text = el.querySelector('[data-tip-text]');
+        const link = el.querySelector('[data-tip-link]');
+        if (text) text.textContent = tip.text;
+        if (link) link.href = tip.url;
+        el.hidden = false;
+    }
+
+    function renderAll(root = document) {
+        root.querySelectorAll('[data-tip-of-the-day]').forEach(el => {
+            render(el).catch(e => console.warn('Tip of the day unavailable', e));
+        });
+    }
+
+    global.TipOfTheDay = { pick, render, renderAll };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => renderAll());
+    else renderAll();
+})(window);
@@ -0,0 +1,25 @@
+// Service worker for /contactUs/: replays contact messages queued in IndexedDB
+// (see /assets/js/message-queue.js) when Background Sync fires.
+importScripts('/assets/js/message-queue.js');
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+async function notifyClients(result) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type: 'message-queue', ...result }));
+}
+
+async function replay() {
+    const result = await MessageQueue.flush();
+    if (result.sent || result.dropped) await notifyClients(result);
+    // rejecting makes the browser schedule another sync attempt later
+    if (result.remaining) throw new Error(`${result.remaining} message(s) still queued`);
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === MessageQueue.SYNC_TAG) event.waitUntil(replay());
+});
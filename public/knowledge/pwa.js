@@ -0,0 +1,62 @@
+// Registers the knowledge-section service worker (/knowledge/sw.js, generated by
+// scripts/generate-articles.js) and drives the bits of UI around it from
+// templates/partials/offline-status.html: the "available offline" badge, the
+// offline notice and the "new version available" prompt.
+(function () {
+    if (!('serviceWorker' in navigator)) return;
+
+    const badge = document.getElementById('offlineReady');
+    const notice = document.getElementById('offlineNotice');
+    const prompt = document.getElementById('updatePrompt');
+    const reloadButton = document.getElementById('updateReload');
+    let reloading = false;
+
+    function showConnection() {
+        if (notice) notice.hidden = navigator.onLine;
+    }
+
+    async function showCached() {
+        if (!badge || !window.caches) return;
+        const cached = await caches.match(window.location.pathname, { ignoreSearch: true });
+        badge.hidden = !cached;
+    }
+
+    function offerUpdate(worker) {
+        if (!prompt || !navigator.serviceWorker.controller) return; // first install: nothing to update
+        prompt.hidden = false;
+        reloadButton.onclick = () => {
+            reloadButton.disabled = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+    }
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // the new worker took over after "Reload": show the page it serves
+        if (reloading || !prompt || prompt.hidden) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    window.addEventListener('online', showConnection);
+    window.addEventListener('offline', showConnection);
+    showConnection();
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register('/knowledge/sw.js', { scope: '/knowledge/' });
+            if (registration.waiting) offerUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') offerUpdate(worker);
+                    if (worker.state === 'activated') showCached();
+                });
+            });
+            await navigator.serviceWorker.ready;
+            showCached();
+        } catch (e) {
+            console.warn('Service worker registration failed', e);
+        }
+    });
+})();
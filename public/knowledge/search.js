@@ -0,0 +1,220 @@
+// Knowledge search: ranked, typo-tolerant prefix search over the build-time
+// index written by scripts/generate-articles.js (/knowledge/search-index.json).
+// No backend needed. Markup comes from templates/partials/search.html, whose
+// data-messages='{"searchNoResults": "...", ...}' translates the UI
+// (templates/locales/*.json, keys starting with "search").
+(function () {
+    const form = document.getElementById('knowledgeSearch');
+    if (!form || !window.fetch) return;
+
+    const input = document.getElementById('knowledgeSearchInput');
+    const select = document.getElementById('knowledgeSearchCategory');
+    const results = document.getElementById('knowledgeSearchResults');
+    const hideWhileSearching = form.dataset.hide ? document.querySelectorAll(form.dataset.hide) : [];
+    const MAX_RESULTS = 50;
+    const WEIGHTS = { title: 5, terms: 3, text: 1 };
+
+    const MESSAGES = {
+        searchArticle: 'Article',
+        searchTip: 'Tip',
+        searchNoResults: 'No articles or tips match your search.',
+        searchResultCount: '{count} results',
+        searchResultCountOne: '1 result',
+        searchShowing: 'Showing {shown} of {count} results',
+        searchUnavailable: 'Search is unavailable right now — try again later.',
+    };
+    let messages = MESSAGES;
+    try {
+        messages = { ...MESSAGES, ...JSON.parse(form.dataset.messages || '{}') };
+    } catch (e) {
+        console.warn('Invalid search messages', e);
+    }
+
+    /** message `key` with {placeholders} filled from `values` */
+    function msg(key, values = {}) {
+        return messages[key].replace(/\{(\w+)\}/g, (m, name) => (name in values ? values[name] : m));
+    }
+
+    let docs = null;
+    let loading = null;
+
+    function normalize(s) {
+        return String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    function words(s) {
+        return normalize(s).match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    }
+
+    function escapeHtml(s) {
+        return String(s || '')
+            .replaceAll('&', '&amp;')
+            .replaceAll('<', '&lt;')
+            .replaceAll('>', '&gt;')
+            .replaceAll('"', '&quot;');
+    }
+
+    /** Levenshtein distance, giving up (returns max + 1) once it exceeds `max` */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const cur = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (cur[j] < rowMin) rowMin = cur[j];
+            }
+            if (rowMin > max) return max + 1;
+            prev = cur;
+        }
+        return prev[b.length];
+    }
+
+    /** how well a query term matches one word: exact > prefix > prefix with a typo */
+    function termScore(term, word) {
+        if (word === term) return 1;
+        if (word.startsWith(term)) return 0.8;
+        if (term.length < 4) return 0;
+        const max = term.length >= 8 ? 2 : 1;
+        const d = Math.min(editDistance(term, word.slice(0, term.length), max), editDistance(term, word, max));
+        return d <= max ? 0.5 / d : 0;
+    }
+
+    function prepare(index) {
+        return (index.docs || []).map(d => ({
+            doc: d,
+            fields: [
+                { words: words(d.ti), weight: WEIGHTS.title },
+                { words: words([...(d.c || []), ...(d.h || [])].join(' ')), weight: WEIGHTS.terms },
+                { words: words(d.x), weight: WEIGHTS.text },
+            ],
+        }));
+    }
+
+    /** every query term has to match somewhere; score sums each term's best weighted match */
+    function search(query, category) {
+        const terms = words(query);
+        const matches = [];
+        for (const entry of docs) {
+            if (category && !(entry.doc.c || []).includes(category)) continue;
+            let total = 0;
+            let all = true;
+            for (const term of terms) {
+                let best = 0;
+                for (const field of entry.fields) {
+                    for (const w of field.words) {
+                        const s = termScore(term, w) * field.weight;
+                        if (s > best) best = s;
+                    }
+                }
+                if (!best) { all = false; break; }
+                total += best;
+            }
+            if (all) matches.push({ doc: entry.doc, score: total });
+        }
+        matches.sort((a, b) => b.score - a.score || (b.doc.d || '').localeCompare(a.doc.d || ''));
+        return { terms, matches: matches.slice(0, MAX_RESULTS), count: matches.length };
+    }
+
+    function highlight(text, terms) {
+        if (!terms.length) return escapeHtml(text);
+        return String(text || '').split(/([\p{L}\p{M}\p{N}]+)/u).map((part, i) => {
+            if (i % 2 === 0) return escapeHtml(part); // separators
+            const w = normalize(part);
+            return terms.some(t => termScore(t, w) > 0) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+        }).join('');
+    }
+
+    function renderResults(query, category) {
+        const { terms, matches, count } = search(query, category);
+        if (!matches.length) {
+            results.innerHTML = `<p class="text-muted">${escapeHtml(msg('searchNoResults'))}</p>`;
+            return;
+        }
+        const items = matches.map(({ doc }) => {
+            const kind = escapeHtml(msg(doc.k === 'a' ? 'searchArticle' : 'searchTip'));
+            const title = doc.ti ? `<h2 class="h6 mb-1">${highlight(doc.ti, terms)}</h2>` : '';
+            const cats = (doc.c || []).map(c => `<span class="badge rounded-pill bg-secondary me-1">${escapeHtml(c)}</span>`).join('');
+            return `<a href="${escapeHtml(doc.u)}" class="list-group-item list-group-item-action">
+              <div class="d-flex justify-content-between align-items-start">
+                <div>${title}<p class="mb-1 small">${highlight(doc.x, terms)}</p>${cats}</div>
+                <span class="badge bg-light text-dark border ms-3">${kind}</span>
+              </div>
+            </a>`;
+        }).join('\n');
+        const shown = count > matches.length
+            ? msg('searchShowing', { shown: matches.length, count })
+            : msg(count === 1 ? 'searchResultCountOne' : 'searchResultCount', { count });
+        results.innerHTML = `<p class="text-muted small mb-2">${escapeHtml(shown)}</p><div class="list-group">${items}</div>`;
+    }
+
+    function loadIndex() {
+        if (!loading) {
+            loading = fetch(form.dataset.index)
+                .then(r => { if (!r.ok) throw new Error('Network'); return r.json(); })
+                .then(index => {
+                    docs = prepare(index);
+                    for (const c of index.categories || []) {
+                        const opt = document.createElement('option');
+                        opt.value = c;
+                        opt.textContent = c;
+                        select.appendChild(opt);
+                    }
+                })
+                .catch(err => {
+                    console.error('Failed to load search index', err);
+                    loading = null;
+                    throw err;
+                });
+        }
+        return loading;
+    }
+
+    function syncUrl(query, category) {
+        const url = new URL(window.location.href);
+        if (query) url.searchParams.set('q', query); else url.searchParams.delete('q');
+        if (category) url.searchParams.set('category', category); else url.searchParams.delete('category');
+        window.history.replaceState(null, '', url);
+    }
+
+    async function update() {
+        const query = input.value.trim();
+        const category = select.value;
+        syncUrl(query, category);
+        const active = !!(query || category);
+        hideWhileSearching.forEach(el => { el.hidden = active; });
+        results.hidden = !active;
+        if (!active) return;
+        try {
+            await loadIndex();
+        } catch (e) {
+            results.innerHTML = `<p class="text-danger">${escapeHtml(msg('searchUnavailable'))}</p>`;
+            return;
+        }
+        renderResults(query, category);
+    }
+
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(update, 120);
+    });
+    input.addEventListener('focus', () => { loadIndex().catch(() => { }); }, { once: true });
+    select.addEventListener('change', update);
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        update();
+    });
+
+    // restore a shared / bookmarked search (?q=...&category=...)
+    const params = new URLSearchParams(window.location.search);
+    form.hidden = false;
+    if (params.get('q') || params.get('category')) {
+        input.value = params.get('q') || '';
+        loadIndex().then(() => {
+            select.value = params.get('category') || '';
+            update();
+        }).catch(() => update());
+    }
+})();
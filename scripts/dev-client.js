@@ -0,0 +1,60 @@
+// Live reload & error overlay for pages served by scripts/dev-server.js (never
+// deployed: the dev server injects it into every HTML response).
+//
+// Listens on /__dev/events (server-sent events):
+//   built  { changed: [output paths] }  reload when this page or a shared asset changed
+//   failed { message }                  show the generator error over the page
+(function () {
+    'use strict';
+
+    const OVERLAY_ID = '__dev-overlay';
+    // generated files no page loads directly: rewriting them needs no reload
+    // (the service worker changes whenever a precached page does)
+    const PASSIVE = /\.(xml|txt|json)$|(^|\/)sw\.js$/;
+
+    /** output path of the current page, as the generator names it (knowledge/tips/index.html) */
+    function currentKey() {
+        const p = decodeURIComponent(location.pathname).replace(/^\/+/, '');
+        if (p === '' || p.endsWith('/')) return `${p}index.html`;
+        return /\.[a-z0-9]+$/i.test(p) ? p : `${p}.html`;
+    }
+
+    function showError(message) {
+        let overlay = document.getElementById(OVERLAY_ID);
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = OVERLAY_ID;
+            overlay.setAttribute('role', 'alert');
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;'
+                + 'background:rgba(20,20,20,.94);color:#f8d7da;font:14px/1.5 ui-monospace,monospace;';
+            const title = document.createElement('h2');
+            title.textContent = 'Generator error';
+            title.style.cssText = 'color:#ff6b6b;font:bold 18px sans-serif;margin:0 0 1rem;';
+            const pre = document.createElement('pre');
+            pre.style.cssText = 'white-space:pre-wrap;margin:0;color:inherit;';
+            const hint = document.createElement('p');
+            hint.textContent = 'Fix the file and save: the page reloads once the build succeeds.';
+            hint.style.cssText = 'color:#adb5bd;font:13px sans-serif;margin:1rem 0 0;';
+            overlay.append(title, pre, hint);
+            document.body.appendChild(overlay);
+        }
+        overlay.querySelector('pre').textContent = message;
+    }
+
+    function clearError() {
+        const overlay = document.getElementById(OVERLAY_ID);
+        if (overlay) overlay.remove();
+    }
+
+    const events = new EventSource('/__dev/events');
+    events.addEventListener('built', (e) => {
+        const { changed } = JSON.parse(e.data);
+        const key = currentKey();
+        if (changed.some(f => f === key || !PASSIVE.test(f) && !f.endsWith('.html'))) {
+            location.reload();
+            return;
+        }
+        clearError();
+    });
+    events.addEventListener('failed', (e) => showError(JSON.parse(e.data).message));
+})();
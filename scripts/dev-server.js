@@ -0,0 +1,387 @@
+// scripts/dev-server.js
+// Local preview of the site while working on templates & the generator.
+// Run with: node scripts/dev-server.js [--port 8080] [generator flags]
+//
+// Builds with scripts/generate-articles.js into .cache/dev/site and serves it
+// on top of public/ (hand-maintained pages & assets), with the URL rules GitHub
+// Pages uses: /page -> page.html, /dir -> 301 /dir/, /dir/ -> dir/index.html.
+// public/ itself is never written to.
+//
+// Saving a legal page under content/legal/, or a template only the legal pages
+// use (followed through {{> partials}}), rebuilds just the legal pages (--only legal;
+// sitemaps catch up on the next full build). The legal pages are the only section
+// the generator can write on its own: any other template, a message catalog or a
+// file the generator imports from scripts/ rebuilds the whole site. The
+// output writer only rewrites pages whose content changed, and open browsers
+// reload when their page (or a shared asset) did. Edits under public/ are served
+// from there as they are, so they just reload. A failing build leaves the last
+// good output in place and shows the error over the page instead (scripts/dev-client.js).
+//
+// Data: the first build reads the live API and keeps a copy in .cache/dev/data;
+// later builds read that copy. Pass --snapshot <dir> or --api <url> to choose
+// the data yourself, e.g. --snapshot fixtures/sample-snapshot to work offline.
+import { spawn } from 'child_process';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.dirname(SCRIPTS_DIR);
+const GENERATOR = path.join(SCRIPTS_DIR, 'generate-articles.js');
+const CLIENT = path.join(SCRIPTS_DIR, 'dev-client.js');
+const STATIC_DIR = path.join(ROOT, 'public');
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const LEGAL_DIR = path.join(CONTENT_DIR, 'legal');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+// page templates of sections the generator can build by themselves (--only); the rest need a full build
+const TEMPLATE_SCOPES = { 'legal.html': 'legal', 'legal-versions.html': 'legal', 'legal-changes.html': 'legal' };
+const DEV_DIR = path.join(ROOT, '.cache', 'dev');
+const DATA_DIR = path.join(DEV_DIR, 'data');
+
+const DEBOUNCE_MS = 150;
+const ERROR_TAIL_CHARS = 8000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.woff2': 'font/woff2',
+    '.pdf': 'application/pdf',
+};
+
+/** --port / --out for the server, everything else goes to the generator */
+function parseCli(argv) {
+    const opts = { port: Number(process.env.PORT || 8080), out: path.join(DEV_DIR, 'site'), generatorArgs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') opts.port = Number(argv[++i]);
+        else if (arg === '--out') opts.out = path.resolve(argv[++i]);
+        else opts.generatorArgs.push(arg);
+    }
+    if (!Number.isInteger(opts.port) || opts.port < 1) throw new Error(`--port must be a port number, got "${opts.port}"`);
+    return opts;
+}
+
+const options = parseCli(process.argv.slice(2));
+const chooseData = options.generatorArgs.some(a => /^--(snapshot|api|source)(=|$)/.test(a));
+const chooseHistory = options.generatorArgs.some(a => /^--slug-history(=|$)/.test(a));
+// one build date per session, so rebuilds don't rewrite every page that prints it (sitemaps)
+const buildEnv = { ...process.env, SOURCE_DATE_EPOCH: process.env.SOURCE_DATE_EPOCH || String(Math.floor(Date.now() / 1000)) };
+
+// --------------------------
+// Builds: one generator process at a time, changes during a build queue one more.
+// A build's scope is 'full' or 'legal' (the generator's --only legal).
+// --------------------------
+const clients = new Set();
+let lastFailure = null; // { message } while the latest build is broken
+let building = false;
+let queued = null; // scope of the build to run once this one is done
+
+/** the wider of two scopes (null: none) */
+function widen(a, b) {
+    return a === 'full' || b === 'full' ? 'full' : a || b;
+}
+
+function broadcast(event, data) {
+    const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(msg);
+}
+
+function generatorArgs(scope) {
+    const args = ['--out', options.out, '--manifest', path.join(DEV_DIR, 'build-manifest.json'), ...options.generatorArgs];
+    // slug history is for the deployed site; renames seen in dev stay in the dev dir
+    if (!chooseHistory) args.push('--slug-history', path.join(DEV_DIR, 'slug-history.json'));
+    if (scope !== 'full') args.push('--only', scope);
+    if (chooseData) return args;
+    return fs.existsSync(DATA_DIR) ? [...args, '--snapshot', DATA_DIR] : [...args, '--write-snapshot', DATA_DIR];
+}
+
+/** run the generator once; resolves with the changed output paths, rejects with its output on failure */
+function runGenerator(scope) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [GENERATOR, ...generatorArgs(scope)], { cwd: ROOT, env: buildEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+            process.stderr.write(chunk);
+        });
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code !== 0) {
+                reject(new Error((stderr || stdout).slice(-ERROR_TAIL_CHARS).trim() || `Generator exited with code ${code}`));
+                return;
+            }
+            // formatSummary() lines: "  added   knowledge/tips/index.html"
+            const changed = [...stdout.matchAll(/^ {2}(?:added|updated|removed)\s+(.+)$/gm)].map(m => m[1].trim());
+            resolve(changed);
+        });
+    });
+}
+
+async function build(reason, scope = 'full') {
+    if (building) {
+        queued = widen(queued, scope);
+        return;
+    }
+    building = true;
+    // after a failure only a full build can tell that everything is fine again
+    if (lastFailure) scope = 'full';
+    const started = Date.now();
+    console.log(`${reason}: building${scope === 'full' ? '' : ` (${scope} pages only)`}...`);
+    try {
+        const changed = await runGenerator(scope);
+        lastFailure = null;
+        console.log(`Built in ${Date.now() - started} ms, ${changed.length} file(s) changed`);
+        broadcast('built', { changed });
+    } catch (e) {
+        lastFailure = { message: e.message };
+        console.error(`Build failed (${Date.now() - started} ms); serving the last good output`);
+        broadcast('failed', lastFailure);
+    } finally {
+        building = false;
+        if (queued) {
+            const next = queued;
+            queued = null;
+            build('Changes during the build', next);
+        }
+    }
+}
+
+// --------------------------
+// Watching
+// --------------------------
+
+/** scripts/ files the generator loads: generate-articles.js and everything it imports, transitively */
+async function generatorModules() {
+    const seen = new Set();
+    const queue = [GENERATOR];
+    while (queue.length) {
+        const file = queue.pop();
+        if (seen.has(file)) continue;
+        seen.add(file);
+        let src = '';
+        try {
+            src = await fsp.readFile(file, 'utf-8');
+        } catch (e) {
+            continue;
+        }
+        for (const m of src.matchAll(/\bfrom\s+['"](\.{1,2}\/[^'"]+)['"]/g)) queue.push(path.resolve(path.dirname(file), m[1]));
+    }
+    return seen;
+}
+
+/**
+ * What a changed file needs rebuilt: an edited or added legal page only the legal
+ * pages, anything else the whole site (a removed legal version too: only a full
+ * build prunes its pages).
+ */
+function buildScope(file) {
+    if (file.startsWith(LEGAL_DIR + path.sep) && file.endsWith('.md') && fs.existsSync(file)) return 'legal';
+    if (path.dirname(file) === TEMPLATES_DIR || path.dirname(file) === PARTIALS_DIR) return templateScope(file);
+    return 'full';
+}
+
+/** partial names a template includes directly ({{> name ...}}) */
+function partialsIn(file) {
+    try {
+        return [...fs.readFileSync(file, 'utf-8').matchAll(/\{\{>\s*([\w-]+)/g)].map(m => m[1]);
+    } catch (e) {
+        return [];
+    }
+}
+
+/** scope for an edited template: a page template's own, a partial's the widest of the pages using it */
+function templateScope(file) {
+    if (!file.endsWith('.html') || !fs.existsSync(file)) return 'full';
+    if (path.dirname(file) === TEMPLATES_DIR) return TEMPLATE_SCOPES[path.basename(file)] || 'full';
+    const partial = path.basename(file, '.html');
+    const uses = (name, seen = new Set()) => {
+        if (seen.has(name)) return false;
+        seen.add(name);
+        return name === partial || partialsIn(path.join(PARTIALS_DIR, `${name}.html`)).some(n => uses(n, seen));
+    };
+    const users = fs.readdirSync(TEMPLATES_DIR).filter(f => f.endsWith('.html'))
+        .filter(f => partialsIn(path.join(TEMPLATES_DIR, f)).some(n => uses(n)));
+    if (!users.length) return 'full'; // a new partial: the template using it is saved next
+    return users.map(f => TEMPLATE_SCOPES[f] || 'full').reduce(widen);
+}
+
+let timer = null;
+const pending = new Set();
+
+function schedule(file) {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+        const files = [...pending];
+        pending.clear();
+        const modules = await generatorModules();
+        const rebuild = files.filter(f => [TEMPLATES_DIR, CONTENT_DIR].some(dir => f.startsWith(dir + path.sep)) || modules.has(f));
+        if (rebuild.length) {
+            build(`Changed ${rebuild.map(f => path.relative(ROOT, f)).join(', ')}`, rebuild.map(buildScope).reduce(widen));
+        } else if (files.some(f => f.startsWith(STATIC_DIR + path.sep))) {
+            console.log(`Changed ${files.map(f => path.relative(ROOT, f)).join(', ')}: reloading`);
+            broadcast('built', { changed: files.filter(f => f.startsWith(STATIC_DIR + path.sep)).map(f => path.relative(STATIC_DIR, f).split(path.sep).join('/')) });
+        }
+    }, DEBOUNCE_MS);
+}
+
+/**
+ * Watch a directory tree. One non-recursive watcher per directory: Node's
+ * recursive mode on Linux loses files that editors replace by renaming.
+ */
+function watch(dir) {
+    const watched = new Set();
+    function add(d) {
+        if (watched.has(d) || d === options.out) return; // skip our own output (--out inside public/)
+        watched.add(d);
+        const watcher = fs.watch(d, (event, name) => {
+            if (!name || /^\.|~$|\.swp$/.test(name)) return; // dotfiles, editor backups
+            const file = path.join(d, name);
+            if (event === 'rename' && fs.existsSync(file) && fs.statSync(file).isDirectory()) add(file);
+            schedule(file);
+        });
+        watcher.on('error', () => {
+            watcher.close();
+            watched.delete(d);
+        });
+        for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
+            if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') add(path.join(d, entry.name));
+        }
+    }
+    add(dir);
+}
+
+// --------------------------
+// Serving: the build output first, then public/
+// --------------------------
+
+/** first root holding `rel` as a file */
+async function findFile(rel) {
+    for (const root of [options.out, STATIC_DIR]) {
+        const file = path.join(root, rel);
+        if (!file.startsWith(root)) return null; // ../ outside the site
+        try {
+            if ((await fsp.stat(file)).isFile()) return file;
+        } catch (e) {
+            // try the next root
+        }
+    }
+    return null;
+}
+
+async function isDir(rel) {
+    for (const root of [options.out, STATIC_DIR]) {
+        try {
+            if ((await fsp.stat(path.join(root, rel))).isDirectory()) return true;
+        } catch (e) {
+            // try the next root
+        }
+    }
+    return false;
+}
+
+/** GitHub Pages URL rules: { file } to serve, { redirect } to send, or null for 404 */
+async function route(pathname) {
+    const rel = path.normalize(decodeURIComponent(pathname)).replace(/^[/\\]+/, '');
+    if (pathname.endsWith('/')) {
+        const file = await findFile(path.join(rel, 'index.html'));
+        return file ? { file } : null;
+    }
+    const file = await findFile(rel);
+    if (file) return { file };
+    if (await isDir(rel)) return { redirect: `${pathname}/` };
+    const html = await findFile(`${rel}.html`);
+    return html ? { file: html } : null;
+}
+
+async function sendFile(res, file, status = 200) {
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    let body = await fsp.readFile(file);
+    if (type.startsWith('text/html')) {
+        const tag = '<script src="/__dev/client.js"></script>';
+        const html = body.toString('utf-8');
+        body = html.includes('</body>') ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${tag}\n</body>`) : html + tag;
+    }
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+        if (pathname === '/__dev/client.js') {
+            await sendFile(res, CLIENT);
+            return;
+        }
+        if (pathname === '/__dev/events') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            res.write(': connected\n\n');
+            if (lastFailure) res.write(`event: failed\ndata: ${JSON.stringify(lastFailure)}\n\n`);
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            res.end();
+            return;
+        }
+        const hit = await route(pathname);
+        if (hit?.redirect) {
+            res.writeHead(301, { Location: hit.redirect });
+            res.end();
+        } else if (hit) {
+            await sendFile(res, hit.file);
+        } else {
+            const notFound = await findFile('404.html');
+            if (notFound) {
+                await sendFile(res, notFound, 404);
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(`<!doctype html><title>Not found</title><h1>404</h1><p>${pathname.replace(/[<>&"]/g, '')} is not on this site.</p><script src="/__dev/client.js"></script>`);
+            }
+        }
+    } catch (e) {
+        if (e instanceof URIError) {
+            res.writeHead(400);
+            res.end('Bad request');
+            return;
+        }
+        console.error(e);
+        res.writeHead(500);
+        res.end('Internal error');
+    }
+});
+
+// comments keep idle event streams open through proxies
+setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+}, 30000).unref();
+
+await fsp.mkdir(DEV_DIR, { recursive: true });
+server.listen(options.port, () => {
+    console.log(`Dev server on http://localhost:${options.port} (serving ${path.relative(ROOT, options.out)} over public/)`);
+    watch(TEMPLATES_DIR);
+    if (fs.existsSync(CONTENT_DIR)) watch(CONTENT_DIR);
+    watch(SCRIPTS_DIR);
+    watch(STATIC_DIR);
+    build('Starting');
+});
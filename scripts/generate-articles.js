@@ -1,38 +1,40 @@
 // scripts/generate-articles.js
 // Run with: node scripts/generate-articles.js
+// Offline:  node scripts/generate-articles.js --snapshot fixtures/sample-snapshot
+// Flags & env vars are documented in scripts/lib/config.js
 import fs from 'fs/promises';
 import path from 'path';
-
-const API_BASE = 'https://yogastra-backend-2d084cc0cf9e.herokuapp.com';
-const OUT_DIR = path.resolve('public'); // writes into public/
-const ARTICLES_DIR = path.join(OUT_DIR, 'knowledge', 'articles');
-const TIPS_DIR = path.join(OUT_DIR, 'knowledge', 'tips');
-
-async function ensureDir(dir) {
-    await fs.mkdir(dir, { recursive: true });
-}
-
-function escapeHtml(s) {
-    if (s === null || s === undefined) return '';
-    return String(s)
-        .replaceAll('&', '&amp;')
-        .replaceAll('<', '&lt;')
-        .replaceAll('>', '&gt;')
-        .replaceAll('"', '&quot;');
-}
-
-/** convert simple plain-text content to paragraphs (safe) */
-function textToHtml(text) {
-    if (!text) return '';
-    const parts = String(text).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
-    return parts.map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br/>')}</p>`).join('\n');
-}
-
-async function fetchJson(url) {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
-    return res.json();
-}
+import { resolveOptions } from './lib/config.js';
+import { createDataSource, loadAll, writeSnapshot } from './lib/data-source.js';
+import { createOutputWriter, formatSummary } from './lib/output.js';
+import { markdownToText, renderMarkdown, renderToc } from './lib/markdown.js';
+import { diffableLines, loadLegalPages } from './lib/legal.js';
+import { diffLines } from './lib/diff.js';
+import { createTemplateEngine } from './lib/templates.js';
+import { slugify } from './lib/html.js';
+import { TAXONOMIES, buildTaxonomies, termLinks, termNames, termUrl } from './lib/taxonomy.js';
+import { paginate, sortNewestFirst } from './lib/paginate.js';
+import { SEARCH_INDEX_PATH, buildSearchIndex } from './lib/search-index.js';
+import { createImagePipeline } from './lib/images.js';
+import { blogPosting, breadcrumbList, exerciseAction, graph, howTo, itemList, jsonLdScript, legalPage, tipArticle, youtubeVideo } from './lib/structured-data.js';
+import { SW_PATH, SW_SCOPE, buildPrecache } from './lib/service-worker.js';
+import { FEED_FORMATS, articleFeedItem, createFeed, feedLinks, renderFeeds, tipFeedItem } from './lib/feeds.js';
+import { loadSlugHistory, previousSlugs, recordSlugs, saveSlugHistory } from './lib/redirects.js';
+import { relatedEntries } from './lib/related.js';
+import { PRACTICE_TYPES, practiceEntries } from './lib/practices.js';
+import { DEFAULT_LOCALE, LOCALES, format, formatDate, loadCatalogs, localePath, translation } from './lib/i18n.js';
+
+const options = resolveOptions();
+const OUT_DIR = options.outDir; // writes into public/ by default
+// output paths below are relative to OUT_DIR
+const ARTICLES_DIR = path.join('knowledge', 'articles');
+const BUILD_DATE = options.buildDate.toISOString();
+// versioned Markdown sources of the legal pages (privacy policy, terms ...), see lib/legal.js
+const LEGAL_DIR = path.join('content', 'legal');
+// site images linked from hand-maintained pages (public/index.html uses their /assets/img/ variants)
+const STATIC_IMAGES = ['/assets/background-image.png', '/assets/yogastraa.png'];
+// every tip, oldest first, for public/assets/js/tip-of-the-day.js
+const TIP_OF_THE_DAY_PATH = '/knowledge/tips/daily.json';
 
 async function loadTemplate(nameList) {
     for (const name of nameList) {
@@ -51,11 +53,15 @@ function formatISO(dateStr) {
     try { return new Date(dateStr).toISOString(); } catch (e) { return (new Date()).toISOString(); }
 }
 
-function prettyDateISO(dateStr) {
-    try {
-        const d = new Date(dateStr);
-        return d.toLocaleDateString('en-GB'); // DD/MM/YYYY style
-    } catch (e) { return dateStr; }
+/** newest updatedAt/createdAt across items (list pages only change when their items do) */
+function latestDateISO(items) {
+    const times = items.map(i => Date.parse(i.updatedAt || i.createdAt)).filter(t => !Number.isNaN(t));
+    return times.length ? new Date(Math.max(...times)).toISOString() : BUILD_DATE;
+}
+
+/** same, for generated page entries that carry a `lastmod` */
+function latestLastmod(entries) {
+    return latestDateISO(entries.map(e => ({ updatedAt: e.lastmod })));
 }
 
 function excerptText(text, max = 220) {
@@ -75,205 +81,823 @@ function youtubeIdFromUrl(url) {
 
 async function main() {
     console.log('Generating articles & tips...');
-    await ensureDir(ARTICLES_DIR);
-    await ensureDir(TIPS_DIR);
+    const out = await createOutputWriter(OUT_DIR, { manifestFile: options.manifestFile });
 
     // Fetch data
-    const articles = Array.isArray(await fetchJson(`${API_BASE}/articles`)) ? await fetchJson(`${API_BASE}/articles`) : [];
-    const tips = Array.isArray(await fetchJson(`${API_BASE}/tips`)) ? await fetchJson(`${API_BASE}/tips`) : [];
+    const source = createDataSource(options);
+    console.log(`Reading data from ${source.describe()}`);
+    const data = await loadAll(source);
+    // newest first everywhere (list pages, category pages), whatever order the API returns
+    const articles = sortNewestFirst(data.articles);
+    const tips = sortNewestFirst(data.tips);
+
+    if (options.writeSnapshotDir) {
+        const dir = await writeSnapshot(options.writeSnapshotDir, data, source);
+        console.log(`Wrote snapshot: ${dir}`);
+    }
 
-    // Load templates (handle plural/singular name mismatches)
-    const articleTpl = await loadTemplate(['article.html']);
-    const listTpl = await loadTemplate(['articles-list.html', 'article-list.html', 'articles-list.tpl.html']);
-    const tipsListTpl = await loadTemplate(['tips-list.html', 'tips-list.tpl.html']);
+    // Load templates (handle plural/singular name mismatches); partials come from templates/partials/
+    const engine = await createTemplateEngine('templates');
+    const articleTpl = engine.compile(await loadTemplate(['article.html']), 'article.html');
+    const listTpl = engine.compile(await loadTemplate(['articles-list.html', 'article-list.html', 'articles-list.tpl.html']), 'article-list.html');
+    const tipsListTpl = engine.compile(await loadTemplate(['tips-list.html', 'tips-list.tpl.html']), 'tips-list.html');
+    const taxonomyTpl = engine.compile(await loadTemplate(['taxonomy.html']), 'taxonomy.html');
+    const tipTpl = engine.compile(await loadTemplate(['tip.html']), 'tip.html');
+    const taxonomyIndexTpl = engine.compile(await loadTemplate(['taxonomy-index.html']), 'taxonomy-index.html');
+    const serviceWorkerTpl = engine.compile(await loadTemplate(['knowledge-sw.js']), 'knowledge-sw.js');
+    const redirectTpl = engine.compile(await loadTemplate(['redirect.html']), 'redirect.html');
+    const practiceTpl = engine.compile(await loadTemplate(['practice.html']), 'practice.html');
+    const practiceListTpl = engine.compile(await loadTemplate(['practice-list.html']), 'practice-list.html');
+    const legalTpl = engine.compile(await loadTemplate(['legal.html']), 'legal.html');
+    const legalVersionsTpl = engine.compile(await loadTemplate(['legal-versions.html']), 'legal-versions.html');
+    const legalChangesTpl = engine.compile(await loadTemplate(['legal-changes.html']), 'legal-changes.html');
 
     // Base site values
     const baseUrl = 'https://yogastraa.com';
     const siteImage = `${baseUrl}/assets/yogastraa.jpg`;
+    const images = createImagePipeline({
+        out,
+        cacheDir: options.imageCacheDir,
+        siteHosts: [new URL(baseUrl).host, `www.${new URL(baseUrl).host}`],
+        enabled: !options.skipImages,
+    });
+
+    // feed discovery links (<link rel="alternate">), see partials/feed-links.html
+    const articleFeedLinks = feedLinks(baseUrl, '/knowledge/articles/', 'Yogastraa articles');
+    const tipFeedLinks = feedLinks(baseUrl, '/knowledge/tips/', 'Yogastraa tips');
+    const categoryFeedLinks = (name, formats) => feedLinks(baseUrl, termUrl('categories', name), `Yogastraa: ${name}`, formats);
+
+    // --------------------------
+    // Practice library: asanas, pranayama, mudras & meditations (English only), see lib/practices.js
+    // --------------------------
+    const practices = {};
+    for (const type of Object.keys(PRACTICE_TYPES)) {
+        practices[type] = practiceEntries(type, data[type] || []);
+        for (const p of practices[type]) {
+            p.picture = p.images.length ? await images.image(p.images[0]) : null;
+            p.excerpt = excerptText(markdownToText(p.description) || p.benefits[0] || '', 140);
+            p.published = formatISO(p.published || BUILD_DATE);
+            p.lastmod = formatISO(p.updatedAt || BUILD_DATE);
+        }
+    }
+    const practiceList = Object.values(practices).flat();
+    const libraryTypes = Object.keys(PRACTICE_TYPES).filter(type => practices[type].length);
 
-    const articlePages = [];
+    // --------------------------
+    // Locales: English at the root, /hi/, /bn/ ... for articles & tips with translations
+    // --------------------------
+    const catalogs = await loadCatalogs(path.join('templates', 'locales'));
+    const locales = Object.keys(LOCALES).filter(code => code === DEFAULT_LOCALE || [...articles, ...tips].some(item => translation(item, code)));
+    const localeDir = (code) => LOCALES[code].prefix.replace(/^\//, ''); // output dir, '' for English
+    // which locales have a page, by its English path: for hreflang links & the language menu
+    const localized = new Map();
+    function addLocalized(code, urlPath) {
+        if (!localized.has(urlPath)) localized.set(urlPath, new Set());
+        localized.get(urlPath).add(code);
+    }
+    /** values every template sees: messages, lang attributes, alternates of the page at (English) `urlPath` */
+    function siteValues(code, urlPath = null) {
+        const have = (urlPath && localized.get(urlPath)) || new Set([code]);
+        const home = (c) => localePath(c, localized.get('/knowledge/articles/')?.has(c) ? '/knowledge/articles/' : '/knowledge/tips/');
+        return {
+            LANG: LOCALES[code].hreflang,
+            LANG_NAME: LOCALES[code].name,
+            OG_LOCALE: LOCALES[code].ogLocale,
+            PREFIX: LOCALES[code].prefix,
+            T: catalogs[code],
+            T_JSON: jsonLdScript(catalogs[code]),
+            // partials/head.html: the consent banner's messages (public/assets/js/consent.js)
+            CONSENT_JSON: JSON.stringify(Object.fromEntries(Object.entries(catalogs[code]).filter(([k]) => k.startsWith('consent')))),
+            SEARCH_INDEX: code === DEFAULT_LOCALE ? SEARCH_INDEX_PATH : '', // the index is English only
+            // partials/search.html: the search script's messages (public/knowledge/search.js)
+            SEARCH_JSON: JSON.stringify(Object.fromEntries(Object.entries(catalogs[code]).filter(([k]) => k.startsWith('search')))),
+            // navbar links to the library index pages (English pages, named in the page's language)
+            LIBRARY: libraryTypes.map(type => ({ name: catalogs[code][type], url: PRACTICE_TYPES[type].base, current: false })),
+            ALTERNATES: have.size > 1 ? [
+                ...locales.filter(c => have.has(c)).map(c => ({ hreflang: LOCALES[c].hreflang, url: `${baseUrl}${localePath(c, urlPath)}` })),
+                { hreflang: 'x-default', url: `${baseUrl}${urlPath}` },
+            ] : [],
+            LANGUAGES: locales.length > 1 ? locales.map(c => ({
+                name: LOCALES[c].name,
+                lang: LOCALES[c].hreflang,
+                url: `${baseUrl}${have.has(c) ? localePath(c, urlPath) : home(c)}`,
+                current: c === code,
+            })) : [],
+        };
+    }
+
+    // renderMarkdown() & renderToc() options: screen reader labels in the page's language
+    const markdownOptions = (T) => ({ anchorLabel: (heading) => format(T.linkToHeading, { heading }) });
+    const tocOptions = (T) => ({ title: T.tocTitle, label: T.tocLabel });
 
+    // old URLs (legacy .html files, renamed articles) get a redirect page, never a copy of the content
+    async function writeRedirect(relPath, urlPath, title) {
+        const url = `${baseUrl}${urlPath}`;
+        await out.write(relPath, redirectTpl({ TITLE: title, URL: url, URL_JSON: jsonLdScript(url) }, siteValues(DEFAULT_LOCALE)));
+    }
+    // slugs articles had before, so links to a renamed article keep working (see lib/redirects.js)
+    const slugHistoryFile = options.slugHistoryFile || (source.kind === 'api' ? path.resolve('slug-history.json') : null);
+    const slugHistory = await loadSlugHistory(slugHistoryFile);
+
+    // IMAGES: single image or bootstrap carousel (unique id per slug), see partials/carousel.html
+    async function carouselFor(slug, urls, alt, T) {
+        const carouselImages = [];
+        for (const [idx, url] of urls.entries()) {
+            carouselImages.push({
+                url,
+                alt,
+                label: format(T.slide, { number: idx + 1 }),
+                picture: await images.image(url),
+                loading: idx === 0 ? 'eager' : 'lazy',
+            });
+        }
+        const carousel = urls.length ? {
+            id: `carousel-${slug.replace(/[^a-z0-9_-]/gi, '')}`,
+            alt,
+            single: urls.length === 1 ? carouselImages[0] : null,
+            images: carouselImages,
+        } : null;
+        return { carousel, carouselImages };
+    }
+
+    /** list entry & page values for article `a` in locale `code` (its text from translation()) */
+    async function buildArticle(a, slug, code) {
+        const T = catalogs[code];
+        const tr = translation(a, code);
+        const key = `/knowledge/articles/${slug}/`; // English path, same slug in every locale
+        const dir = path.join(localeDir(code), ARTICLES_DIR, slug);
+
+        const title = tr.title || a.title || 'Article';
+        const content = tr.content || a.content || '';
+        const author = a.author || 'Yogastraa Team';
+        const text = markdownToText(content);
+        const description = text.replace(/\s+/g, ' ').trim().slice(0, 150);
+        const created = formatISO(a.createdAt || a.updatedAt || BUILD_DATE);
+        const modified = formatISO(a.updatedAt || a.createdAt || BUILD_DATE);
+        const datePretty = formatDate(a.createdAt || a.updatedAt || BUILD_DATE, code);
+        const urlPathDir = localePath(code, key);
+        const canonicalUrl = `${baseUrl}${urlPathDir}`;
+
+        const catNames = termNames(a.categories);
+        const hcNames = termNames(a.healthConditions);
+        const tagNames = termNames(a.tags);
+        const keywords = Array.from(new Set([...catNames, ...hcNames, ...tagNames])).join(', ');
+        const badges = { categories: termLinks('categories', catNames), conditions: termLinks('conditions', hcNames) };
+
+        // article content is Markdown (plain text renders as paragraphs, as before)
+        const { html: contentHtml, headings } = renderMarkdown(content, markdownOptions(T));
+
+        const imgs = (Array.isArray(a.images) ? a.images : []).filter(im => im && im.url);
+        const { carousel, carouselImages } = await carouselFor(slug, imgs.map(im => im.url), title, T);
+
+        // VIDEO: YouTube embed (if available), see partials/video-embed.html
+        const videoId = youtubeIdFromUrl(a.videoUrl);
+
+        // og:image: the article's first image, else a generated title card, else the site image
+        // (one card per article, with the English title: the card font has no Indic glyphs)
+        let ogImage = { url: siteImage, width: 1200, height: 630 };
+        if (carouselImages.length) {
+            const first = carouselImages[0].picture;
+            ogImage = { url: new URL(first.src, baseUrl).href, width: first.width, height: first.height };
+        } else {
+            const card = await images.socialCard(slug, a.title || title);
+            if (card) ogImage = { url: `${baseUrl}${card.src}`, width: card.width, height: card.height };
+        }
+
+        const jsonLd = graph([
+            blogPosting({
+                url: canonicalUrl,
+                title,
+                description,
+                images: [ogImage.url, ...imgs.slice(1).map(im => new URL(im.url, baseUrl).href)],
+                author,
+                keywords: keywords ? keywords.split(', ') : [],
+                sections: catNames,
+                published: created,
+                modified,
+                video: videoId ? youtubeVideo({ id: videoId, url: a.videoUrl, title, description, uploadDate: created }) : null,
+            }),
+            breadcrumbList([
+                { name: T.home, url: `${baseUrl}/` },
+                { name: T.articles, url: `${baseUrl}${localePath(code, '/knowledge/articles/')}` },
+                { name: title, url: canonicalUrl },
+            ]),
+        ]);
+
+        // rendered once every article is known (related reading, previous / next)
+        const pageValues = {
+            TITLE: title,
+            META_DESC: description,
+            KEYWORDS: keywords,
+            URL: canonicalUrl,
+            IMAGE: ogImage.url,
+            IMAGE_WIDTH: ogImage.width,
+            IMAGE_HEIGHT: ogImage.height,
+            JSON_LD: jsonLdScript(jsonLd),
+            DATE: created,
+            DATE_MODIFIED: modified,
+            DATE_PRETTY: datePretty,
+            TOC: renderToc(headings, tocOptions(T)),
+            CONTENT: contentHtml,
+            AUTHOR: author,
+            BADGES: badges,
+            SLUG: slug,
+            CAROUSEL: carousel,
+            VIDEO: videoId ? { id: videoId, title } : null,
+            // feeds are English only
+            FEEDS: code === DEFAULT_LOCALE ? [...articleFeedLinks, ...catNames.flatMap(n => categoryFeedLinks(n, FEED_FORMATS.slice(0, 1)))] : [],
+        };
+
+        return {
+            slug,
+            key,
+            title,
+            author,
+            url: urlPathDir,
+            urlDir: urlPathDir,
+            date: modified,
+            published: created,
+            datePretty: a.createdAt ? formatDate(a.createdAt, code) : '',
+            excerpt: excerptText(text, 240),
+            terms: { categories: catNames, conditions: hcNames, tags: tagNames },
+            badges,
+            lastmod: modified,
+            image: imgs.length ? imgs[0].url : '',
+            picture: carouselImages.length ? carouselImages[0].picture : null,
+            contentHtml,
+            text,
+            dir,
+            pageValues,
+            foundData: a,
+        };
+    }
+
+    const articlesByLocale = Object.fromEntries(locales.map(code => [code, []]));
+    const seenSlugs = new Set();
     for (const a of articles) {
         const slug = a.slug || `article-${a.id}`;
-        const dir = path.join(ARTICLES_DIR, slug);
-        await ensureDir(dir);
-
-        const title = a.title || 'Article';
-        const description = (a.content || '').replace(/\s+/g, ' ').slice(0, 150);
-        const created = formatISO(a.createdAt || a.updatedAt || new Date().toISOString());
-        const modified = formatISO(a.updatedAt || a.createdAt || new Date().toISOString());
-        const datePretty = prettyDateISO(a.createdAt || a.updatedAt || new Date().toISOString());
-        const urlPathDir = `/knowledge/articles/${slug}/`;
-        const urlPathFile = `/knowledge/articles/${slug}.html`;
-        const canonicalUrl = `${baseUrl}${urlPathDir}`;
+        if (seenSlugs.has(slug)) {
+            console.warn(`Skipping article ${a.id}: duplicate slug "${slug}"`);
+            continue;
+        }
+        seenSlugs.add(slug);
+        for (const code of locales.filter(c => translation(a, c))) {
+            const entry = await buildArticle(a, slug, code);
+            articlesByLocale[code].push(entry);
+            addLocalized(code, entry.key);
+        }
+    }
+    const articlePages = articlesByLocale[DEFAULT_LOCALE];
 
-        const catNames = (Array.isArray(a.categories) ? a.categories.map(c => c.name) : []).filter(Boolean);
-        const hcNames = (Array.isArray(a.healthConditions) ? a.healthConditions.map(h => h.name) : []).filter(Boolean);
-        const keywords = Array.from(new Set([...catNames, ...hcNames])).join(', ');
-
-        const contentHtml = textToHtml(a.content || '');
-        const categoriesStr = catNames.length ? catNames.map(escapeHtml).join(', ') : 'General';
-
-        // IMAGES: prepare carousel HTML (if available)
-        const imgs = Array.isArray(a.images) ? a.images : [];
-        let imagesCarouselHtml = '';
-        if (imgs.length === 1) {
-            // single image: simple responsive image block
-            imagesCarouselHtml = `<div class="mb-3 article-carousel"><img src="${escapeHtml(imgs[0].url)}" alt="${escapeHtml(title)}" class="img-fluid rounded" /></div>`;
-        } else if (imgs.length > 1) {
-            // bootstrap carousel (unique id per slug)
-            const cid = `carousel-${slug.replace(/[^a-z0-9_-]/gi, '')}`;
-            const indicators = imgs.map((im, idx) => `<button type="button" data-bs-target="#${cid}" data-bs-slide-to="${idx}" ${idx === 0 ? 'class="active" aria-current="true"' : ''} aria-label="Slide ${idx + 1}"></button>`).join('\n');
-            const items = imgs.map((im, idx) => `<div class="carousel-item ${idx === 0 ? 'active' : ''}"><img src="${escapeHtml(im.url)}" class="d-block w-100" alt="${escapeHtml(title)}"></div>`).join('\n');
-            imagesCarouselHtml = `
-<div id="${cid}" class="carousel slide mb-3 article-carousel" data-bs-ride="carousel">
-  <div class="carousel-indicators">
-    ${indicators}
-  </div>
-  <div class="carousel-inner">
-    ${items}
-  </div>
-  <button class="carousel-control-prev" type="button" data-bs-target="#${cid}" data-bs-slide="prev">
-    <span class="carousel-control-prev-icon" aria-hidden="true"></span>
-    <span class="visually-hidden">Previous</span>
-  </button>
-  <button class="carousel-control-next" type="button" data-bs-target="#${cid}" data-bs-slide="next">
-    <span class="carousel-control-next-icon" aria-hidden="true"></span>
-    <span class="visually-hidden">Next</span>
-  </button>
-</div>`;
+    // renamed articles: every earlier slug redirects to the current page
+    const renamed = recordSlugs(slugHistory, articlePages.map(p => ({ id: p.foundData.id, slug: p.slug })));
+    for (const id of renamed) console.log(`Article ${id} was renamed to "${slugHistory.articles[id].slug}"`);
+    const redirectedSlugs = new Set();
+    for (const p of articlePages) {
+        for (const old of previousSlugs(slugHistory, p.foundData.id)) {
+            if (seenSlugs.has(old) || redirectedSlugs.has(old)) {
+                console.warn(`Not redirecting old slug "${old}" to ${p.urlDir}: the slug is in use`);
+                continue;
+            }
+            redirectedSlugs.add(old);
+            await writeRedirect(path.join(ARTICLES_DIR, old, 'index.html'), p.urlDir, p.title);
+            await writeRedirect(path.join(ARTICLES_DIR, `${old}.html`), p.urlDir, p.title);
         }
+    }
 
-        // VIDEO: prepare YouTube embed (if available)
-        const videoId = youtubeIdFromUrl(a.videoUrl);
-        let videoEmbedHtml = '';
-        if (videoId) {
-            // responsive embed using bootstrap ratio
-            videoEmbedHtml = `
-<div class="article-video ratio ratio-16x9">
-  <iframe src="https://www.youtube.com/embed/${escapeHtml(videoId)}" title="${escapeHtml(title)}" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>
-</div>`;
+    // --------------------------
+    // Tips: every tip gets its own page at /knowledge/tips/<slug or id>/
+    // --------------------------
+    function buildTip(t, idx, slug, code) {
+        const tr = translation(t, code);
+        const catNames = Array.from(new Set([...termNames(t.category), ...termNames(t.categories)]));
+        const content = tr.content || t.content || '';
+        const key = `/knowledge/tips/${encodeURIComponent(slug)}/`;
+        return {
+            slug,
+            key,
+            url: localePath(code, key),
+            title: excerptText(content, 55) || catalogs[code].yogaTip,
+            anchor: `tip-${t.id ?? idx + 1}`,
+            content,
+            categories: termLinks('categories', catNames),
+            datePretty: t.createdAt ? formatDate(t.createdAt, code) : '',
+            published: formatISO(t.createdAt || t.updatedAt || BUILD_DATE),
+            lastmod: formatISO(t.updatedAt || t.createdAt || BUILD_DATE),
+            terms: { categories: catNames, conditions: termNames(t.healthConditions), tags: termNames(t.tags) },
+        };
+    }
+
+    const tipsByLocale = Object.fromEntries(locales.map(code => [code, []]));
+    const seenTipSlugs = new Set(['page']); // /knowledge/tips/page/2/ is the list
+    for (const [idx, t] of tips.entries()) {
+        const slug = slugify(t.slug || String(t.id ?? idx + 1), `tip-${idx + 1}`);
+        if (seenTipSlugs.has(slug)) {
+            console.warn(`Skipping tip ${t.id}: duplicate slug "${slug}"`);
+            continue;
+        }
+        seenTipSlugs.add(slug);
+        for (const code of locales.filter(c => translation(t, c))) {
+            const entry = buildTip(t, idx, slug, code);
+            tipsByLocale[code].push(entry);
+            addLocalized(code, entry.key);
+        }
+    }
+    const tipRows = tipsByLocale[DEFAULT_LOCALE];
+
+    // list pages of every locale, known before anything links to them
+    const articleLists = {};
+    const tipLists = {};
+    for (const code of locales) {
+        // English list pages are always written, with their "no articles yet" state
+        articleLists[code] = code === DEFAULT_LOCALE || articlesByLocale[code].length ? paginate(articlesByLocale[code], options.pageSize, localePath(code, '/knowledge/articles/')) : [];
+        tipLists[code] = code === DEFAULT_LOCALE || tipsByLocale[code].length ? paginate(tipsByLocale[code], options.tipsPageSize, localePath(code, '/knowledge/tips/')) : [];
+        for (const page of [...articleLists[code], ...tipLists[code]]) addLocalized(code, page.url.slice(LOCALES[code].prefix.length));
+    }
+
+    // --------------------------
+    // Legal pages (privacy policy, terms ...) from versioned Markdown in content/legal/ (English only):
+    // /<page>/ is the version in effect, /<page>/versions/ lists every version, earlier ones stay
+    // readable at /<page>/versions/<version>/ and each has a "what changed" page against the one before
+    // --------------------------
+    const legalUrls = [];
+    // front matter dates are days (YYYY-MM-DD), printed from noon UTC: the same day in every time zone.
+    // Versions without one show no date.
+    const effectiveISO = (v) => (v.effective ? new Date(v.effective).toISOString() : null);
+    const effectivePretty = (v) => (v.effective ? formatDate(`${v.effective}T12:00:00Z`, DEFAULT_LOCALE) : '');
+    for (const page of await loadLegalPages(LEGAL_DIR, { asOf: BUILD_DATE })) {
+        const T = catalogs[DEFAULT_LOCALE];
+        const historyUrl = `${page.url}versions/`;
+        const current = page.versions[page.versions.length - 1];
+        const entries = page.versions.map((v, i) => ({
+            ...v,
+            label: format(T.legalVersion, { version: v.version }),
+            url: v === current ? page.url : `${historyUrl}${encodeURIComponent(v.version)}/`,
+            effectiveISO: effectiveISO(v),
+            effectivePretty: effectivePretty(v),
+            changesUrl: i ? `${historyUrl}${encodeURIComponent(v.version)}/changes/` : null,
+            previous: i ? page.versions[i - 1] : null,
+            current: v === current,
+        }));
+        const crumb = { name: current.title, url: `${baseUrl}${page.url}` };
+
+        for (const v of entries) {
+            const { html: content, headings } = renderMarkdown(v.body, markdownOptions(T));
+            const url = `${baseUrl}${v.url}`;
+            const description = v.description || excerptText(markdownToText(v.body), 155);
+            await out.write(path.join(decodeURIComponent(v.url), 'index.html'), legalTpl({
+                TITLE: v.title,
+                META_DESC: description,
+                URL: url,
+                VERSION_LABEL: v.label,
+                DATE: v.effective,
+                UPDATED: v.effective ? format(T.legalLastUpdated, { date: v.effectivePretty }) : null,
+                HISTORY_URL: historyUrl,
+                CHANGES_URL: v.changesUrl,
+                ARCHIVED: v.current ? null : {
+                    notice: format(T.legalArchivedNotice, { version: v.version }),
+                    currentUrl: page.url,
+                },
+                TOC: renderToc(headings, tocOptions(T)),
+                CONTENT: content,
+                JSON_LD: jsonLdScript(graph([
+                    legalPage({ url, name: v.title, description, version: v.version, published: v.effectiveISO }),
+                    breadcrumbList(v.current ? [crumb] : [
+                        crumb,
+                        { name: T.legalVersionHistory, url: `${baseUrl}${historyUrl}` },
+                        { name: v.label, url },
+                    ]),
+                ])),
+            }, siteValues(DEFAULT_LOCALE)));
+
+            if (!v.previous) continue;
+            const old = entries.find(e => e.version === v.previous.version);
+            const rows = diffLines(diffableLines(v.previous.body), diffableLines(v.body));
+            const count = (kind) => rows.filter(r => r.kind === kind).length;
+            const title = format(T.legalChangesTitle, { title: v.title, version: v.version });
+            const compared = format(T.legalComparedWith, { version: v.version, previous: old.version });
+            await out.write(path.join(decodeURIComponent(v.changesUrl), 'index.html'), legalChangesTpl({
+                TITLE: title,
+                META_DESC: v.changes || compared,
+                URL: `${baseUrl}${v.changesUrl}`,
+                PAGE_TITLE: current.title,
+                PAGE_URL: page.url,
+                HISTORY_URL: historyUrl,
+                NEW: v,
+                OLD: old,
+                COMPARED: compared,
+                COUNTS: format(T.legalLinesChanged, { added: count('add'), removed: count('del') }),
+                SUMMARY: v.changes,
+                ROWS: rows.map(r => (r.skip
+                    ? { skip: true, label: format(T.legalUnchangedLines, { count: r.count }) }
+                    : { ...r, marker: { add: T.legalAdded, del: T.legalRemoved }[r.kind] || '' })),
+            }, siteValues(DEFAULT_LOCALE)));
         }
 
-        const html = articleTpl
-            .replaceAll('{{TITLE}}', escapeHtml(title))
-            .replaceAll('{{META_DESC}}', escapeHtml(description))
-            .replaceAll('{{KEYWORDS}}', escapeHtml(keywords))
-            .replaceAll('{{URL}}', canonicalUrl)
-            .replaceAll('{{IMAGE}}', siteImage)
-            .replaceAll('{{DATE}}', created)
-            .replaceAll('{{DATE_MODIFIED}}', modified)
-            .replaceAll('{{DATE_PRETTY}}', escapeHtml(datePretty))
-            .replaceAll('{{CONTENT}}', contentHtml)
-            .replaceAll('{{AUTHOR}}', escapeHtml(a.author || 'Yogastraa Team'))
-            .replaceAll('{{CATEGORIES}}', escapeHtml(categoriesStr))
-            .replaceAll('{{SLUG}}', escapeHtml(slug))
-            // new placeholders for images & video
-            .replaceAll('{{IMAGES_CAROUSEL}}', imagesCarouselHtml)
-            .replaceAll('{{VIDEO_EMBED}}', videoEmbedHtml);
-
-        // write directory-index version
-        await fs.writeFile(path.join(dir, 'index.html'), html, 'utf-8');
-
-        // also write flat file version for compatibility (slug.html)
-        await fs.writeFile(path.join(ARTICLES_DIR, `${slug}.html`), html, 'utf-8');
-
-        // firstImage used by articles list
-        const firstImage = imgs.length ? imgs[0].url : '';
-
-        articlePages.push({ slug, title, urlDir: urlPathDir, urlFile: urlPathFile, date: modified, firstImage, foundData: a });
-        console.log(`Wrote article: ${slug}`);
+        await out.write(path.join(decodeURIComponent(historyUrl), 'index.html'), legalVersionsTpl({
+            TITLE: current.title,
+            META_DESC: `Every version of the Yogastraa ${current.title}, with the date it took effect and what changed.`,
+            URL: `${baseUrl}${historyUrl}`,
+            PAGE_URL: page.url,
+            VERSIONS: [...entries].reverse().map(v => ({
+                label: v.label,
+                url: v.url,
+                effective: v.effective,
+                effectivePretty: v.effectivePretty,
+                changes: v.changes,
+                changesUrl: v.changesUrl,
+                current: v.current,
+            })),
+            JSON_LD: jsonLdScript(graph([
+                itemList([...entries].reverse().map(v => ({ name: `${v.title} — ${v.label}`, url: `${baseUrl}${v.url}` }))),
+                breadcrumbList([crumb, { name: T.legalVersionHistory, url: `${baseUrl}${historyUrl}` }]),
+            ])),
+        }, siteValues(DEFAULT_LOCALE)));
+        // the page itself only: archived versions & diffs are for reference, not search
+        legalUrls.push({ loc: page.url, lastmod: effectiveISO(current) });
     }
 
+    // --only legal (dev server, after a content/legal/ edit): the rest stays as the last build left it
+    if (options.only === 'legal') {
+        const summary = await out.finish({ partial: true });
+        console.log(formatSummary(summary));
+        console.log('Generation complete (legal pages only).');
+        return;
+    }
+
+    // sitemap entries per locale: { loc, lastmod, key (English path, for alternates) }
+    const sitemapUrls = Object.fromEntries(locales.map(code => [code, []]));
+    const listPageUrls = []; // every English list page, for the service worker precache
+
     // --------------------------
-    // Generate articles list page: produce card grid HTML (server-rendered)
+    // Generate articles list pages: card grid (server-rendered), see partials/article-card.html
+    // page 1 is /knowledge/articles/, then /knowledge/articles/page/2/ ...
     // --------------------------
-    const articleRowsHtml = articlePages.map(p => {
-        const found = articles.find(a => (a.slug || `article-${a.id}`) === p.slug) || {};
-        const datePretty = found.createdAt ? prettyDateISO(found.createdAt) : '';
-        const excerpt = excerptText(found.content || '', 240);
-        const badges = (Array.isArray(found.categories) ? found.categories : []).map(c => `<span class="badge rounded-pill bg-secondary me-1 mb-1">${escapeHtml(c.name)}</span>`).join('');
-        const author = escapeHtml(found.author || 'Yogastraa Team');
-        const firstImg = (Array.isArray(found.images) && found.images.length) ? found.images[0].url : '';
-
-        const imgHtml = firstImg ? `<img src="${escapeHtml(firstImg)}" alt="${escapeHtml(p.title)}" class="card-img-top">` : '';
-
-        return `
-  <div class="col-12 col-md-6 col-lg-4">
-    <div class="card h-100">
-      ${imgHtml}
-      <div class="card-body d-flex flex-column">
-        <h5 class="card-title">${escapeHtml(p.title)}</h5>
-        <p class="card-text text-muted small fst-italic">By ${author} · ${escapeHtml(datePretty)}</p>
-        <p class="card-text flex-grow-1">${escapeHtml(excerpt)}</p>
-        ${badges ? `<div class="d-flex flex-wrap gap-1 mt-1">${badges}</div>` : ''}
-        <a href="${p.urlDir}" class="btn btn-sm btn-primary mt-3"><b>Read article</b></a>
-      </div>
-    </div>
-  </div>
-        `;
-    }).join('\n');
-
-    const articlesListHtml = listTpl.replaceAll('{{ARTICLE_ROWS}}', articleRowsHtml);
-    await fs.writeFile(path.join(ARTICLES_DIR, 'index.html'), articlesListHtml, 'utf-8');
-    await fs.writeFile(path.join(OUT_DIR, 'knowledge', 'articles.html'), articlesListHtml, 'utf-8').catch(() => { });
-    console.log('Wrote articles list');
+    for (const code of locales) {
+        const T = catalogs[code];
+        const home = localePath(code, '/knowledge/articles/');
+        for (const page of articleLists[code]) {
+            const key = page.url.slice(LOCALES[code].prefix.length);
+            const html = listTpl({
+                SITE_URL: baseUrl,
+                URL: `${baseUrl}${page.url}`,
+                PAGE_SUFFIX: page.number > 1 ? ` — ${format(T.page, { number: page.number })}` : '',
+                PAGE: page,
+                FEEDS: code === DEFAULT_LOCALE ? articleFeedLinks : [],
+                JSON_LD: jsonLdScript(graph([
+                    itemList(page.items.map(p => ({ name: p.title, url: `${baseUrl}${p.url}` })), (page.number - 1) * options.pageSize),
+                    breadcrumbList([{ name: T.home, url: `${baseUrl}/` }, { name: T.articles, url: `${baseUrl}${home}` }]),
+                ])),
+            }, siteValues(code, key));
+            await out.write(path.join(page.url, 'index.html'), html);
+            sitemapUrls[code].push({ loc: page.url, lastmod: latestLastmod(page.items), key });
+            if (code !== DEFAULT_LOCALE) continue;
+            listPageUrls.push(page.url);
+            if (page.number === 1) await writeRedirect(path.join('knowledge', 'articles.html'), page.url, T.articles);
+        }
+    }
 
     // --------------------------
-    // Generate tips list page (server-rendered list-group items)
+    // Generate tips list page (server-rendered list-group items), see partials/tip-row.html
     // --------------------------
-    const tipRowsHtml = (tips || []).map(t => {
-        const cat = t.category?.name || '';
-        const datePretty = t.createdAt ? prettyDateISO(t.createdAt) : '';
-        // create a list-group-item element (server-rendered) — includes badge + date
-        return `
-  <div class="list-group-item d-flex justify-content-between align-items-start">
-    <div>
-      <div class="mb-1">${escapeHtml(t.content)}</div>
-      ${cat ? `<small class="text-muted">${escapeHtml(cat)}</small>` : ''}
-    </div>
-    <small class="text-muted ms-3">${escapeHtml(datePretty)}</small>
-  </div>`;
-    }).join('\n');
-
-    const tipsHtml = tipsListTpl.replaceAll('{{TIP_ROWS}}', tipRowsHtml);
-    await fs.writeFile(path.join(TIPS_DIR, 'index.html'), tipsHtml, 'utf-8');
-    await fs.writeFile(path.join(OUT_DIR, 'knowledge', 'tips.html'), tipsHtml, 'utf-8').catch(() => { });
-    console.log('Wrote tips list');
-
-    // Sitemap (use article updatedAt when available)
-    const urls = [
-        { loc: '/', lastmod: new Date().toISOString() },
-        { loc: '/contactUs/', lastmod: new Date().toISOString() },
-        { loc: '/privacyPolicy/', lastmod: new Date().toISOString() },
-        { loc: '/disclaimerPolicy/', lastmod: new Date().toISOString() },
-        { loc: '/refundPolicy/', lastmod: new Date().toISOString() },
-        { loc: '/termsConditions/', lastmod: new Date().toISOString() },
-        { loc: '/knowledge/articles/', lastmod: new Date().toISOString() },
-        { loc: '/knowledge/tips/', lastmod: new Date().toISOString() },
-    ];
+    for (const code of locales) {
+        const T = catalogs[code];
+        const home = localePath(code, '/knowledge/tips/');
+        for (const page of tipLists[code]) {
+            const key = page.url.slice(LOCALES[code].prefix.length);
+            const html = tipsListTpl({
+                SITE_URL: baseUrl,
+                URL: `${baseUrl}${page.url}`,
+                PAGE_SUFFIX: page.number > 1 ? ` — ${format(T.page, { number: page.number })}` : '',
+                PAGE: page,
+                FEEDS: code === DEFAULT_LOCALE ? tipFeedLinks : [],
+                JSON_LD: jsonLdScript(graph([
+                    itemList(page.items.map(t => ({ name: excerptText(t.content, 110), url: `${baseUrl}${t.url}` })), (page.number - 1) * options.tipsPageSize),
+                    breadcrumbList([{ name: T.home, url: `${baseUrl}/` }, { name: T.tips, url: `${baseUrl}${home}` }]),
+                ])),
+            }, siteValues(code, key));
+            await out.write(path.join(page.url, 'index.html'), html);
+            sitemapUrls[code].push({ loc: page.url, lastmod: latestLastmod(page.items), key });
+            if (code !== DEFAULT_LOCALE) continue;
+            listPageUrls.push(page.url);
+            if (page.number === 1) await writeRedirect(path.join('knowledge', 'tips.html'), page.url, T.tips);
+        }
+    }
 
-    for (const p of articlePages) {
-        const found = articles.find(a => (a.slug || `article-${a.id}`) === p.slug);
-        const lastmod = found?.updatedAt ? formatISO(found.updatedAt) : new Date().toISOString();
-        urls.push({ loc: p.urlDir, lastmod });
-        urls.push({ loc: p.urlFile, lastmod });
+    // one page per tip: category navigation + related tips (same categories first)
+    for (const code of locales) {
+        const T = catalogs[code];
+        const localeTips = tipsByLocale[code];
+        const tipCategories = Array.from(new Set(localeTips.flatMap(t => t.terms.categories)))
+            .sort((x, y) => x.localeCompare(y))
+            .map(name => ({ name, url: termUrl('categories', name) }));
+        for (const tip of localeTips) {
+            const url = `${baseUrl}${tip.url}`;
+            const description = excerptText(tip.content, 155);
+            const html = tipTpl({
+                TITLE: tip.title,
+                META_DESC: description,
+                KEYWORDS: [T.yogaTip, ...tip.terms.categories, ...tip.terms.conditions].join(', '),
+                URL: url,
+                IMAGE: siteImage,
+                DATE: tip.published,
+                DATE_PRETTY: tip.datePretty,
+                CONTENT: tip.content,
+                BADGES: { categories: tip.categories, conditions: termLinks('conditions', tip.terms.conditions) },
+                CATEGORIES: tipCategories.map(c => ({ ...c, current: tip.terms.categories.includes(c.name) })),
+                RELATED: relatedEntries(tip, localeTips, { limit: 4, fill: true }),
+                FEEDS: code === DEFAULT_LOCALE ? tipFeedLinks : [],
+                JSON_LD: jsonLdScript(graph([
+                    tipArticle({
+                        url,
+                        title: tip.title,
+                        text: tip.content,
+                        image: siteImage,
+                        sections: tip.terms.categories,
+                        published: tip.published,
+                        modified: tip.lastmod,
+                    }),
+                    breadcrumbList([
+                        { name: T.home, url: `${baseUrl}/` },
+                        { name: T.tips, url: `${baseUrl}${localePath(code, '/knowledge/tips/')}` },
+                        { name: tip.title, url },
+                    ]),
+                ])),
+            }, siteValues(code, tip.key));
+            await out.write(path.join(decodeURIComponent(tip.url), 'index.html'), html);
+            sitemapUrls[code].push({ loc: tip.url, lastmod: tip.lastmod, key: tip.key });
+        }
+    }
+
+    // --------------------------
+    // Article pages: related reading (shared categories & health conditions, similar
+    // text), previous / next by date and tips from the same categories
+    // --------------------------
+    for (const code of locales) {
+        const localeArticles = articlesByLocale[code];
+        for (const [idx, p] of localeArticles.entries()) {
+            const html = articleTpl({
+                ...p.pageValues,
+                RELATED: relatedEntries(p, localeArticles, {
+                    limit: 3,
+                    weights: { categories: 3, conditions: 3 },
+                    textOf: e => e.text,
+                    minScore: 1,
+                }),
+                // newest first: previous is older, next is newer
+                PAGER: localeArticles.length > 1 ? { prev: localeArticles[idx + 1] || null, next: localeArticles[idx - 1] || null } : null,
+                TIPS: relatedEntries(p, tipsByLocale[code], { limit: 3, weights: { categories: 1 } }),
+            }, siteValues(code, p.key));
+            // the one canonical page; slug.html (old flat URL) only redirects to it
+            await out.write(path.join(p.dir, 'index.html'), html);
+            sitemapUrls[code].push({ loc: p.url, lastmod: p.lastmod, key: p.key });
+            if (code === DEFAULT_LOCALE) await writeRedirect(path.join(ARTICLES_DIR, `${p.slug}.html`), p.url, p.title);
+        }
     }
 
-    const sitemapEntries = urls.map(u => `<url><loc>${baseUrl}${u.loc}</loc><lastmod>${u.lastmod}</lastmod></url>`).join('\n');
-    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${sitemapEntries}\n</urlset>\n`;
-    await fs.writeFile(path.join(OUT_DIR, 'sitemap.xml'), sitemap, 'utf-8');
-    console.log('Wrote sitemap.xml');
+    // --------------------------
+    // Practice library pages: one per practice (steps, benefits, what it works on) + an index per type
+    // --------------------------
+    for (const type of libraryTypes) {
+        const T = catalogs[DEFAULT_LOCALE];
+        const { base, singular, exerciseType } = PRACTICE_TYPES[type];
+        const label = T[type];
+        const library = siteValues(DEFAULT_LOCALE).LIBRARY.map(l => ({ ...l, current: l.url === base }));
+        const entries = practices[type];
+
+        for (const p of entries) {
+            const url = `${baseUrl}${p.url}`;
+            const { carousel, carouselImages } = await carouselFor(p.slug, p.images, p.name, T);
+            const first = carouselImages.length ? carouselImages[0].picture : null;
+            const ogImage = first ? { url: new URL(first.src, baseUrl).href, width: first.width, height: first.height } : { url: siteImage, width: 1200, height: 630 };
+            const description = excerptText(markdownToText(p.description), 155) || `${p.name}: ${singular.toLowerCase()} from the Yogastraa practice library.`;
+            const videoId = youtubeIdFromUrl(p.videoUrl);
+            const minutes = p.duration ? p.duration.max : null;
+
+            const html = practiceTpl({
+                TITLE: p.name,
+                SANSKRIT: p.sanskritName,
+                META_DESC: description,
+                KEYWORDS: [p.name, p.sanskritName, singular.toLowerCase(), 'yoga', ...p.terms.conditions, ...p.terms.bodyParts].filter(Boolean).join(', '),
+                URL: url,
+                IMAGE: ogImage.url,
+                IMAGE_WIDTH: ogImage.width,
+                IMAGE_HEIGHT: ogImage.height,
+                KIND_LABEL: label,
+                KIND_SINGULAR: singular,
+                KIND_URL: base,
+                BACK_LABEL: format(T.allOfKind, { kind: label }),
+                DURATION: p.duration ? format(T.durationMinutes, { minutes: p.duration.min === p.duration.max ? p.duration.min : `${p.duration.min}–${p.duration.max}` }) : null,
+                CAROUSEL: carousel,
+                DESCRIPTION: renderMarkdown(p.description, markdownOptions(T)).html,
+                STEPS: p.steps.map((text, i) => ({ number: i + 1, text })),
+                BENEFITS: p.benefits,
+                PRECAUTIONS: p.precautions,
+                VIDEO: videoId ? { id: videoId, title: p.name } : null,
+                // cross-links to the term pages of what the practice works on
+                TARGETS: ['bodyParts', 'organs', 'conditions']
+                    .filter(kind => p.terms[kind].length)
+                    .map(kind => ({ label: TAXONOMIES[kind].label, links: termLinks(kind, p.terms[kind]) })),
+                RELATED: relatedEntries(p, entries, { limit: 4, fill: true, weights: { conditions: 2, bodyParts: 2, organs: 2, categories: 1 } }),
+                LIBRARY: library,
+                JSON_LD: jsonLdScript(graph([
+                    exerciseAction({ url, name: p.name, description, exerciseType, image: ogImage.url }),
+                    p.steps.length ? howTo({
+                        url,
+                        name: p.name,
+                        description,
+                        images: carouselImages.map(im => new URL(im.picture.src, baseUrl).href),
+                        steps: p.steps,
+                        minutes,
+                        about: `${url}#exercise`,
+                    }) : null,
+                    breadcrumbList([
+                        { name: T.home, url: `${baseUrl}/` },
+                        { name: label, url: `${baseUrl}${base}` },
+                        { name: p.name, url },
+                    ]),
+                ])),
+            }, siteValues(DEFAULT_LOCALE));
+            await out.write(path.join(decodeURIComponent(p.url), 'index.html'), html);
+            sitemapUrls[DEFAULT_LOCALE].push({ loc: p.url, lastmod: p.lastmod });
+        }
+
+        for (const page of paginate(entries, options.pageSize, base)) {
+            const html = practiceListTpl({
+                SITE_URL: baseUrl,
+                TITLE: label,
+                META_DESC: `${label} from the Yogastraa practice library: step-by-step instructions, benefits and precautions.`,
+                KEYWORDS: `${label}, ${singular.toLowerCase()}, yoga, Yogastraa`,
+                URL: `${baseUrl}${page.url}`,
+                IMAGE: siteImage,
+                PAGE_SUFFIX: page.number > 1 ? ` — ${format(T.page, { number: page.number })}` : '',
+                PAGE: page,
+                LIBRARY: library,
+                JSON_LD: jsonLdScript(graph([
+                    itemList(page.items.map(p => ({ name: p.name, url: `${baseUrl}${p.url}` })), (page.number - 1) * options.pageSize),
+                    breadcrumbList([{ name: T.home, url: `${baseUrl}/` }, { name: label, url: `${baseUrl}${base}` }]),
+                ])),
+            }, siteValues(DEFAULT_LOCALE));
+            await out.write(path.join(page.url, 'index.html'), html);
+            sitemapUrls[DEFAULT_LOCALE].push({ loc: page.url, lastmod: latestLastmod(page.items) });
+        }
+    }
+
+    // tip of the day: the widget picks one by date, so the list order must be stable
+    const dailyTips = [...tipRows].sort((a, b) => a.published.localeCompare(b.published) || a.anchor.localeCompare(b.anchor));
+    await out.write(TIP_OF_THE_DAY_PATH, JSON.stringify({
+        tips: dailyTips.map(t => ({ url: t.url, text: t.content, categories: t.terms.categories })),
+    }));
+
+    // search index for public/knowledge/search.js (client-side, no backend)
+    await out.write(SEARCH_INDEX_PATH, JSON.stringify(buildSearchIndex(articlePages, tipRows)));
+
+    // --------------------------
+    // Feeds: RSS (feed.xml), Atom (atom.xml) & JSON Feed (feed.json) for articles, tips and each category
+    // --------------------------
+    async function writeFeed(feed) {
+        for (const f of renderFeeds(createFeed({ siteUrl: baseUrl, fallbackDate: BUILD_DATE, ...feed }))) {
+            await out.write(decodeURIComponent(f.path), f.content);
+        }
+    }
+    await writeFeed({
+        title: 'Yogastraa — Articles',
+        description: 'Yoga articles from Yogastraa — AI-guided practices, pranayama, therapeutic sequences and more.',
+        path: '/knowledge/articles/',
+        homeUrl: `${baseUrl}/knowledge/articles/`,
+        items: articlePages.map(p => articleFeedItem(p, baseUrl)),
+    });
+    await writeFeed({
+        title: 'Yogastraa — Tips',
+        description: 'Quick yoga tips from Yogastraa.',
+        path: '/knowledge/tips/',
+        homeUrl: `${baseUrl}/knowledge/tips/`,
+        items: tipRows.map(t => tipFeedItem(t, baseUrl)),
+    });
+
+    // --------------------------
+    // Category / health condition / tag landing pages (+ one index page per kind)
+    // --------------------------
+    const taxonomies = buildTaxonomies(articlePages, tipRows, practiceList);
+    const taxonomyUrls = [];
+    for (const [kind, terms] of Object.entries(taxonomies)) {
+        if (!terms.length) continue;
+        const { label, singular, base } = TAXONOMIES[kind];
+        let kindLastmod = '';
+
+        for (const term of terms) {
+            const counts = [
+                term.articles.length ? `${term.articles.length} article${term.articles.length === 1 ? '' : 's'}` : '',
+                term.tips.length ? `${term.tips.length} tip${term.tips.length === 1 ? '' : 's'}` : '',
+                term.practices.length ? `${term.practices.length} practice${term.practices.length === 1 ? '' : 's'}` : '',
+            ].filter(Boolean).join(', ').replace(/, ([^,]*)$/, ' and $1');
+            const html = taxonomyTpl({
+                TITLE: term.name,
+                META_DESC: `${counts} from Yogastraa about ${term.name}: yoga practices, pranayama and wellness guidance.`,
+                KEYWORDS: `${term.name}, yoga, Yogastraa`,
+                URL: `${baseUrl}${term.url}`,
+                IMAGE: siteImage,
+                KIND_LABEL: label,
+                KIND_SINGULAR: singular,
+                KIND_URL: base,
+                ARTICLES: term.articles,
+                TIPS: term.tips,
+                PRACTICES: term.practices,
+                FEEDS: kind === 'categories' ? categoryFeedLinks(term.name) : [],
+                JSON_LD: jsonLdScript(graph([
+                    itemList([
+                        ...term.articles.map(p => ({ name: p.title, url: `${baseUrl}${p.url}` })),
+                        ...term.tips.map(t => ({ name: excerptText(t.content, 110), url: `${baseUrl}${t.url}` })),
+                        ...term.practices.map(p => ({ name: p.name, url: `${baseUrl}${p.url}` })),
+                    ]),
+                    breadcrumbList([
+                        { name: 'Knowledge', url: `${baseUrl}/knowledge/articles/` },
+                        { name: label, url: `${baseUrl}${base}` },
+                        { name: term.name, url: `${baseUrl}${term.url}` },
+                    ]),
+                ])),
+            }, siteValues(DEFAULT_LOCALE));
+            await out.write(path.join(decodeURIComponent(term.url), 'index.html'), html);
+            const lastmod = latestLastmod([...term.articles, ...term.tips, ...term.practices]);
+            if (lastmod > kindLastmod) kindLastmod = lastmod;
+            taxonomyUrls.push({ loc: term.url, lastmod });
+            if (kind === 'categories') {
+                await writeFeed({
+                    title: `Yogastraa — ${term.name}`,
+                    description: `Yoga articles and tips from Yogastraa about ${term.name}.`,
+                    path: term.url,
+                    homeUrl: `${baseUrl}${term.url}`,
+                    items: [...term.articles.map(p => articleFeedItem(p, baseUrl)), ...term.tips.map(t => tipFeedItem(t, baseUrl))],
+                });
+            }
+        }
+
+        const indexHtml = taxonomyIndexTpl({
+            TITLE: label,
+            META_DESC: `Browse Yogastraa yoga articles, tips and practices by ${label.toLowerCase()}.`,
+            URL: `${baseUrl}${base}`,
+            IMAGE: siteImage,
+            TERMS: terms.map(t => ({ name: t.name, url: t.url, count: t.articles.length + t.tips.length + t.practices.length })),
+        }, siteValues(DEFAULT_LOCALE));
+        await out.write(path.join(base, 'index.html'), indexHtml);
+        taxonomyUrls.push({ loc: base, lastmod: kindLastmod });
+    }
+
+    // service worker: offline reading for the knowledge section (see templates/knowledge-sw.js)
+    const precache = await buildPrecache({
+        out,
+        urls: [...listPageUrls, ...articlePages.map(p => p.urlDir), ...tipRows.map(t => t.url), SEARCH_INDEX_PATH],
+    });
+    await out.write(SW_PATH, serviceWorkerTpl({
+        VERSION: precache.version,
+        PRECACHE_JSON: JSON.stringify(precache.urls, null, 2),
+        FALLBACK: '/knowledge/articles/',
+        SCOPE: SW_SCOPE,
+    }));
+
+    // resized variants of the big static images
+    for (const src of STATIC_IMAGES) await images.image(src);
+
+    // Sitemaps: canonical URLs only, no redirect pages (use article updatedAt when available).
+    // One per locale, translated pages linked to each other (xhtml:link), and an index over them.
+    // Hand-maintained pages have no date of their own: no lastmod rather than the build date,
+    // which would report them changed on every build.
+    sitemapUrls[DEFAULT_LOCALE].unshift(
+        { loc: '/' },
+        { loc: '/contactUs/' },
+        ...legalUrls,
+    );
+    sitemapUrls[DEFAULT_LOCALE].push(...taxonomyUrls);
+
+    const sitemapFiles = [];
+    for (const code of locales) {
+        const sitemapEntries = sitemapUrls[code].map(u => {
+            const alternates = siteValues(code, u.key).ALTERNATES
+                .map(alt => `<xhtml:link rel="alternate" hreflang="${alt.hreflang}" href="${alt.url}"/>`).join('');
+            const lastmod = u.lastmod ? `<lastmod>${u.lastmod}</lastmod>` : '';
+            return `<url><loc>${baseUrl}${u.loc}</loc>${lastmod}${alternates}</url>`;
+        }).join('\n');
+        const file = `sitemap-${code}.xml`;
+        await out.write(file, `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n${sitemapEntries}\n</urlset>\n`);
+        sitemapFiles.push({ loc: `/${file}`, lastmod: latestLastmod(sitemapUrls[code]) });
+    }
+    const sitemapIndex = sitemapFiles.map(f => `<sitemap><loc>${baseUrl}${f.loc}</loc><lastmod>${f.lastmod}</lastmod></sitemap>`).join('\n');
+    await out.write('sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${sitemapIndex}\n</sitemapindex>\n`);
 
     // robots.txt
     const robots = `User-agent: *\nAllow: /\nSitemap: ${baseUrl}/sitemap.xml\n`;
-    await fs.writeFile(path.join(OUT_DIR, 'robots.txt'), robots, 'utf-8');
-    console.log('Wrote robots.txt');
+    await out.write('robots.txt', robots);
 
     // CNAME for GitHub Pages custom domain
-    await fs.writeFile(path.join(OUT_DIR, 'CNAME'), 'yogastraa.com\n', 'utf-8');
-    console.log('Wrote CNAME');
+    await out.write('CNAME', 'yogastraa.com\n');
+
+    if (slugHistoryFile && await saveSlugHistory(slugHistoryFile, slugHistory)) {
+        console.log(`Updated slug history: ${path.relative(process.cwd(), slugHistoryFile)}`);
+    }
 
+    // remove outputs of articles that no longer exist & save the build manifest
+    const summary = await out.finish();
+    console.log(formatSummary(summary));
     console.log('Generation complete.');
 }
 
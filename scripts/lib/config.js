@@ -0,0 +1,84 @@
+// scripts/lib/config.js
+// Generator options from CLI flags, falling back to environment variables.
+//
+//   --source api|snapshot     YOGASTRAA_SOURCE
+//   --api <url>               YOGASTRAA_API_BASE      (e.g. a local stub server)
+//   --snapshot <dir>          YOGASTRAA_SNAPSHOT_DIR  (read data from <dir>/*.json)
+//   --write-snapshot <dir>    YOGASTRAA_WRITE_SNAPSHOT (save what was loaded)
+//   --out <dir>               YOGASTRAA_OUT_DIR       (default: public)
+//   --manifest <file>         YOGASTRAA_BUILD_MANIFEST (what the last build wrote, for skipping & pruning;
+//                                                      default .cache/build-manifest.json, never inside --out)
+//   --page-size <n>           YOGASTRAA_PAGE_SIZE     (articles per list page, default 12)
+//   --tips-page-size <n>      YOGASTRAA_TIPS_PAGE_SIZE (tips per list page, default 30)
+//   --image-cache <dir>       YOGASTRAA_IMAGE_CACHE   (downloaded & resized images, default .cache/images)
+//   --skip-images             YOGASTRAA_SKIP_IMAGES=1 (no AVIF/WebP variants, images used as-is)
+//   --slug-history <file>     YOGASTRAA_SLUG_HISTORY  (past article slugs, default slug-history.json
+//                                                      for API builds, none for snapshots)
+//   --only legal              YOGASTRAA_ONLY          (write just the legal pages, keep everything else
+//                                                      from the last build; for the dev server)
+//
+// SOURCE_DATE_EPOCH (seconds) pins the build timestamp for reproducible output.
+import path from 'path';
+import { parseArgs } from 'util';
+
+const OPTIONS = {
+    source: { type: 'string', env: 'YOGASTRAA_SOURCE' },
+    api: { type: 'string', env: 'YOGASTRAA_API_BASE' },
+    snapshot: { type: 'string', env: 'YOGASTRAA_SNAPSHOT_DIR' },
+    'write-snapshot': { type: 'string', env: 'YOGASTRAA_WRITE_SNAPSHOT' },
+    out: { type: 'string', env: 'YOGASTRAA_OUT_DIR' },
+    manifest: { type: 'string', env: 'YOGASTRAA_BUILD_MANIFEST' },
+    'page-size': { type: 'string', env: 'YOGASTRAA_PAGE_SIZE' },
+    'tips-page-size': { type: 'string', env: 'YOGASTRAA_TIPS_PAGE_SIZE' },
+    'image-cache': { type: 'string', env: 'YOGASTRAA_IMAGE_CACHE' },
+    'skip-images': { type: 'boolean', env: 'YOGASTRAA_SKIP_IMAGES' },
+    'slug-history': { type: 'string', env: 'YOGASTRAA_SLUG_HISTORY' },
+    only: { type: 'string', env: 'YOGASTRAA_ONLY' },
+};
+
+// sections a partial build (--only) can write
+const ONLY_SECTIONS = ['legal'];
+
+function buildDateFromEnv(env) {
+    const epoch = env.SOURCE_DATE_EPOCH;
+    if (!epoch) return new Date();
+    const d = new Date(Number(epoch) * 1000);
+    if (Number.isNaN(d.getTime())) throw new Error(`Invalid SOURCE_DATE_EPOCH: ${epoch}`);
+    return d;
+}
+
+function flag(value) {
+    return value === true || /^(1|true|yes)$/i.test(value || '');
+}
+
+function positiveInt(name, value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`--${name} must be a positive integer, got "${value}"`);
+    return n;
+}
+
+export function resolveOptions(argv = process.argv.slice(2), env = process.env) {
+    const parseOpts = Object.fromEntries(Object.entries(OPTIONS).map(([k, v]) => [k, { type: v.type }]));
+    const { values } = parseArgs({ args: argv, options: parseOpts, strict: true });
+    const pick = (name) => values[name] ?? env[OPTIONS[name].env];
+
+    const only = pick('only') || null;
+    if (only && !ONLY_SECTIONS.includes(only)) throw new Error(`--only must be one of ${ONLY_SECTIONS.join(', ')}, got "${only}"`);
+
+    return {
+        source: pick('source'),
+        apiBase: pick('api'),
+        snapshotDir: pick('snapshot'),
+        writeSnapshotDir: pick('write-snapshot'),
+        outDir: path.resolve(pick('out') || 'public'),
+        manifestFile: path.resolve(pick('manifest') || path.join('.cache', 'build-manifest.json')),
+        pageSize: positiveInt('page-size', pick('page-size'), 12),
+        tipsPageSize: positiveInt('tips-page-size', pick('tips-page-size'), 30),
+        imageCacheDir: path.resolve(pick('image-cache') || path.join('.cache', 'images')),
+        skipImages: flag(pick('skip-images')),
+        slugHistoryFile: pick('slug-history') ? path.resolve(pick('slug-history')) : undefined,
+        only,
+        buildDate: buildDateFromEnv(env),
+    };
+}
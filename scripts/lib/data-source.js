@@ -0,0 +1,126 @@
+// scripts/lib/data-source.js
+// Where the generator gets its articles, tips & practice library from: the live API (or any
+// local stand-in that serves the same routes) or a JSON snapshot directory.
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_API_BASE = 'https://yogastra-backend-2d084cc0cf9e.herokuapp.com';
+
+// every collection the generator reads; each maps to `${API_BASE}/<name>`
+// and to `<snapshotDir>/<name>.json`
+export const COLLECTIONS = ['articles', 'tips', 'asanas', 'pranayamas', 'mudras', 'meditations'];
+// the practice library (managed in public/admin): an extra, not a reason to fail the build.
+// Older snapshots without the file, or a route that errors or wants a login, give [] and a warning.
+export const OPTIONAL_COLLECTIONS = new Set(['asanas', 'pranayamas', 'mudras', 'meditations']);
+// list routes that page like the admin app reads them: GET <name>/?page=<n> ->
+// { meta: { currentPage, lastPage, ... }, data: [...] }; the snapshot keeps the plain list
+export const PAGED_COLLECTIONS = new Set(['asanas', 'pranayamas', 'mudras', 'meditations']);
+const MAX_PAGES = 100;
+
+async function fetchJson(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+    return res.json();
+}
+
+/** every page of a paged list route */
+async function fetchPages(url) {
+    const items = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+        const body = await fetchJson(`${url}/?page=${page}`);
+        if (!body || !Array.isArray(body.data)) throw new Error(`Unexpected response from ${url}/?page=${page}: no "data" list`);
+        items.push(...body.data);
+        if (!body.data.length || page >= Number(body.meta?.lastPage || 1)) return items;
+    }
+    throw new Error(`${url} has more than ${MAX_PAGES} pages`);
+}
+
+async function readJson(file, { optional = false } = {}) {
+    let txt;
+    try {
+        txt = await fs.readFile(file, 'utf-8');
+    } catch (e) {
+        if (e.code === 'ENOENT' && optional) return null;
+        if (e.code === 'ENOENT') throw new Error(`Snapshot file not found: ${file}`);
+        throw e;
+    }
+    try {
+        return JSON.parse(txt);
+    } catch (e) {
+        throw new Error(`Invalid JSON in snapshot file ${file}: ${e.message}`);
+    }
+}
+
+function asList(data) {
+    return Array.isArray(data) ? data : [];
+}
+
+/** data source backed by the HTTP API (live backend or a local stub server) */
+export function apiSource(apiBase = DEFAULT_API_BASE) {
+    const base = apiBase.replace(/\/+$/, '');
+    return {
+        kind: 'api',
+        describe: () => `API ${base}`,
+        async load(name) {
+            const url = `${base}/${name}`;
+            try {
+                return asList(await (PAGED_COLLECTIONS.has(name) ? fetchPages(url) : fetchJson(url)));
+            } catch (e) {
+                if (!OPTIONAL_COLLECTIONS.has(name)) throw e;
+                console.warn(`Skipping ${name}: ${e.message}`);
+                return [];
+            }
+        },
+    };
+}
+
+/** data source backed by a directory of <collection>.json files */
+export function snapshotSource(dir) {
+    const root = path.resolve(dir);
+    return {
+        kind: 'snapshot',
+        describe: () => `snapshot ${root}`,
+        async load(name) {
+            return asList(await readJson(path.join(root, `${name}.json`), { optional: OPTIONAL_COLLECTIONS.has(name) }));
+        },
+    };
+}
+
+/**
+ * Pick a data source from resolved options.
+ * `source` is 'api' or 'snapshot'; when omitted, a snapshot dir implies 'snapshot'.
+ */
+export function createDataSource({ source, apiBase, snapshotDir } = {}) {
+    const kind = source || (snapshotDir ? 'snapshot' : 'api');
+    if (kind === 'api') return apiSource(apiBase || DEFAULT_API_BASE);
+    if (kind === 'snapshot') {
+        if (!snapshotDir) throw new Error('Snapshot source selected but no snapshot directory given (--snapshot <dir>)');
+        return snapshotSource(snapshotDir);
+    }
+    throw new Error(`Unknown data source "${kind}" (expected "api" or "snapshot")`);
+}
+
+/** load every collection from a source: { articles: [...], tips: [...], asanas: [...], ... } */
+export async function loadAll(source, names = COLLECTIONS) {
+    const data = {};
+    for (const name of names) {
+        data[name] = await source.load(name);
+    }
+    return data;
+}
+
+/** write fetched collections (plus a small meta.json) so the build can be replayed offline */
+export async function writeSnapshot(dir, data, source) {
+    const root = path.resolve(dir);
+    await fs.mkdir(root, { recursive: true });
+    for (const [name, items] of Object.entries(data)) {
+        await fs.writeFile(path.join(root, `${name}.json`), JSON.stringify(items, null, 2) + '\n', 'utf-8');
+    }
+    const meta = {
+        source: source.describe(),
+        fetchedAt: new Date().toISOString(),
+        counts: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, v.length])),
+    };
+    await fs.writeFile(path.join(root, 'meta.json'), JSON.stringify(meta, null, 2) + '\n', 'utf-8');
+    return root;
+}
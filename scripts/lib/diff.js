@@ -0,0 +1,104 @@
+// scripts/lib/diff.js
+// Line & word diffs for the legal pages' "what changed" view (lib/legal.js).
+// Plain longest-common-subsequence: policy texts are a few hundred lines, so
+// the O(n·m) table is small and the result is the minimal, readable diff.
+import { escapeHtml } from './html.js';
+
+/** edit script turning `a` into `b`: [{ op: 'same' | 'del' | 'add', value }] */
+export function diffSequences(a, b, equal = (x, y) => x === y) {
+    const n = a.length;
+    const m = b.length;
+    // lcs[i][j]: length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = equal(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (equal(a[i], b[j])) {
+            ops.push({ op: 'same', value: b[j] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ op: 'del', value: a[i++] });
+        } else {
+            ops.push({ op: 'add', value: b[j++] });
+        }
+    }
+    while (i < n) ops.push({ op: 'del', value: a[i++] });
+    while (j < m) ops.push({ op: 'add', value: b[j++] });
+    return ops;
+}
+
+/** HTML for a changed line pair: the old line with <del>, the new one with <ins> around the words that differ */
+function wordDiff(before, after) {
+    const ops = diffSequences(before.split(/(\s+)/), after.split(/(\s+)/));
+    const side = (keep, mark) => ops
+        .filter(o => o.op === 'same' || o.op === keep)
+        .map(o => (o.op === 'same' || !o.value.trim() ? escapeHtml(o.value) : `<${mark}>${escapeHtml(o.value)}</${mark}>`))
+        .join('')
+        .replace(new RegExp(`</${mark}>(\\s*)<${mark}>`, 'g'), '$1');
+    return { before: side('del', 'del'), after: side('add', 'ins') };
+}
+
+/**
+ * Rows for a unified diff of two line lists. `before` & `after` hold
+ * { key, text, heading } lines: matched on `key`, shown as `text`.
+ * Returns [{ kind: 'same' | 'del' | 'add', html, heading, oldLine, newLine }]
+ * with unchanged runs longer than 2·context folded into { kind: 'skip', skip: true, count }.
+ * Replaced lines (a run of deletions followed by as many additions) get word-level marks.
+ */
+export function diffLines(before, after, { context = 2 } = {}) {
+    const ops = diffSequences(before, after, (x, y) => x.key === y.key);
+    let oldLine = 0;
+    let newLine = 0;
+    const rows = ops.map(({ op, value }) => ({
+        kind: op,
+        html: escapeHtml(value.text),
+        heading: !!value.heading,
+        oldLine: op === 'add' ? null : ++oldLine,
+        newLine: op === 'del' ? null : ++newLine,
+    }));
+
+    // pair up replaced lines for word-level marks
+    for (let i = 0; i < rows.length;) {
+        let dels = 0;
+        while (rows[i + dels]?.kind === 'del') dels++;
+        let adds = 0;
+        while (dels && rows[i + dels + adds]?.kind === 'add') adds++;
+        if (dels && dels === adds) {
+            for (let k = 0; k < dels; k++) {
+                const del = rows[i + k];
+                const add = rows[i + dels + k];
+                const marked = wordDiff(before[del.oldLine - 1].text, after[add.newLine - 1].text);
+                del.html = marked.before;
+                add.html = marked.after;
+            }
+        }
+        i += Math.max(1, dels + adds);
+    }
+
+    // fold long unchanged runs, keeping `context` lines around every change
+    const out = [];
+    for (let i = 0; i < rows.length;) {
+        if (rows[i].kind !== 'same') {
+            out.push(rows[i++]);
+            continue;
+        }
+        let end = i;
+        while (end < rows.length && rows[end].kind === 'same') end++;
+        const head = i === 0 ? 0 : context;
+        const tail = end === rows.length ? 0 : context;
+        if (end - i > head + tail + 1) {
+            out.push(...rows.slice(i, i + head), { kind: 'skip', skip: true, count: end - i - head - tail }, ...rows.slice(end - tail, end));
+        } else {
+            out.push(...rows.slice(i, end));
+        }
+        i = end;
+    }
+    return out;
+}
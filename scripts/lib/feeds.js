@@ -0,0 +1,193 @@
+// scripts/lib/feeds.js
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for the knowledge section
+// (/knowledge/articles/feed.xml, atom.xml, feed.json and friends).
+import { escapeHtml } from './html.js';
+
+export const FEED_LIMIT = 50;
+
+export const FEED_FORMATS = [
+    { file: 'feed.xml', type: 'application/rss+xml', label: 'RSS', render: renderRss },
+    { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom', render: renderAtom },
+    { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed', render: renderJsonFeed },
+];
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml' };
+
+function imageType(url) {
+    const ext = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url)?.[1]?.toLowerCase();
+    return IMAGE_TYPES[ext] || 'application/octet-stream';
+}
+
+function rssDate(iso) {
+    return new Date(iso).toUTCString();
+}
+
+function unescapeAttr(value) {
+    return value.replaceAll('&quot;', '"').replaceAll('&gt;', '>').replaceAll('&lt;', '<').replaceAll('&amp;', '&');
+}
+
+/**
+ * `html` with relative href / src / srcset URLs (#anchors too) resolved against
+ * `pageUrl`: feed readers show the content away from the page it was written for.
+ */
+function absoluteUrls(html, pageUrl) {
+    const resolve = (url) => (!url || /^[a-z][a-z\d+.-]*:/i.test(url) ? url : escapeHtml(new URL(unescapeAttr(url), pageUrl).href));
+    return String(html || '').replace(/(\s)(href|src|srcset)="([^"]*)"/g, (m, space, attr, value) => {
+        const resolved = attr === 'srcset'
+            ? value.split(',').map(candidate => candidate.trim().replace(/^\S+/, resolve)).join(', ')
+            : resolve(value.trim());
+        return `${space}${attr}="${resolved}"`;
+    });
+}
+
+function clip(text, max) {
+    const t = String(text || '').replace(/\s+/g, ' ').trim();
+    return t.length <= max ? t : t.slice(0, max).replace(/\s+\S*$/, '') + '...';
+}
+
+/** feed item for a generated article entry (needs url, published, lastmod, contentHtml ...) */
+export function articleFeedItem(entry, siteUrl) {
+    const url = `${siteUrl}${entry.url}`;
+    return {
+        id: url,
+        url,
+        permalink: true,
+        title: entry.title,
+        summary: entry.excerpt,
+        contentHtml: absoluteUrls(entry.contentHtml, url),
+        author: entry.author,
+        published: entry.published,
+        updated: entry.lastmod,
+        image: entry.image ? new URL(entry.image, siteUrl).href : '',
+        categories: entry.terms.categories,
+    };
+}
+
+/** feed item for a tip row (its url is the tip's own page) */
+export function tipFeedItem(entry, siteUrl) {
+    const url = `${siteUrl}${entry.url}`;
+    return {
+        id: url,
+        url,
+        permalink: true,
+        title: clip(entry.content, 80) || 'Yoga tip',
+        summary: entry.content,
+        contentHtml: `<p>${escapeHtml(entry.content)}</p>`,
+        author: 'Yogastraa Team',
+        published: entry.published,
+        updated: entry.lastmod,
+        image: '',
+        categories: entry.terms.categories,
+    };
+}
+
+/**
+ * Complete feed description: { title, description, siteUrl, path (feed directory,
+ * e.g. /knowledge/articles/), homeUrl (absolute page URL), items }. Items are
+ * sorted newest first and capped at FEED_LIMIT; `updated` is the newest item update.
+ */
+export function createFeed({ title, description, siteUrl, path, homeUrl, items, fallbackDate }) {
+    const sorted = [...items]
+        .sort((a, b) => b.published.localeCompare(a.published) || a.id.localeCompare(b.id))
+        .slice(0, FEED_LIMIT);
+    const updated = sorted.reduce((max, i) => (i.updated > max ? i.updated : max), '') || fallbackDate;
+    return { title, description, siteUrl, path, homeUrl, items: sorted, updated };
+}
+
+/** [{ path, content }] for every format of `feed` */
+export function renderFeeds(feed) {
+    return FEED_FORMATS.map(f => ({ path: `${feed.path}${f.file}`, content: f.render(feed) }));
+}
+
+/** <link rel="alternate"> data for partials/feed-links.html */
+export function feedLinks(siteUrl, feedPath, title, formats = FEED_FORMATS) {
+    return formats.map(f => ({ type: f.type, title: `${title} (${f.label})`, href: `${siteUrl}${feedPath}${f.file}` }));
+}
+
+function selfUrl(feed, file) {
+    return `${feed.siteUrl}${feed.path}${file}`;
+}
+
+// the lead image as Media RSS: an <enclosure> needs the file's length in bytes, unknown for remote images
+export function renderRss(feed) {
+    const items = feed.items.map(i => [
+        '<item>',
+        `<title>${escapeHtml(i.title)}</title>`,
+        `<link>${escapeHtml(i.url)}</link>`,
+        `<guid isPermaLink="${i.permalink}">${escapeHtml(i.id)}</guid>`,
+        `<pubDate>${rssDate(i.published)}</pubDate>`,
+        `<dc:creator>${escapeHtml(i.author)}</dc:creator>`,
+        ...i.categories.map(c => `<category>${escapeHtml(c)}</category>`),
+        `<description>${escapeHtml(i.summary)}</description>`,
+        `<content:encoded>${escapeHtml(i.contentHtml)}</content:encoded>`,
+        i.image ? `<media:content url="${escapeHtml(i.image)}" medium="image" type="${imageType(i.image)}"/>` : '',
+        '</item>',
+    ].filter(Boolean).join('\n')).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+<title>${escapeHtml(feed.title)}</title>
+<link>${escapeHtml(feed.homeUrl)}</link>
+<description>${escapeHtml(feed.description)}</description>
+<language>en</language>
+<lastBuildDate>${rssDate(feed.updated)}</lastBuildDate>
+<atom:link href="${escapeHtml(selfUrl(feed, 'feed.xml'))}" rel="self" type="application/rss+xml"/>
+${items}
+</channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+    const entries = feed.items.map(i => [
+        '<entry>',
+        `<title>${escapeHtml(i.title)}</title>`,
+        `<id>${escapeHtml(i.id)}</id>`,
+        `<link rel="alternate" type="text/html" href="${escapeHtml(i.url)}"/>`,
+        `<published>${i.published}</published>`,
+        `<updated>${i.updated}</updated>`,
+        `<author><name>${escapeHtml(i.author)}</name></author>`,
+        ...i.categories.map(c => `<category term="${escapeHtml(c)}"/>`),
+        `<summary>${escapeHtml(i.summary)}</summary>`,
+        `<content type="html">${escapeHtml(i.contentHtml)}</content>`,
+        i.image ? `<link rel="enclosure" type="${imageType(i.image)}" href="${escapeHtml(i.image)}"/>` : '',
+        '</entry>',
+    ].filter(Boolean).join('\n')).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+<title>${escapeHtml(feed.title)}</title>
+<subtitle>${escapeHtml(feed.description)}</subtitle>
+<id>${escapeHtml(feed.homeUrl)}</id>
+<link rel="alternate" type="text/html" href="${escapeHtml(feed.homeUrl)}"/>
+<link rel="self" type="application/atom+xml" href="${escapeHtml(selfUrl(feed, 'atom.xml'))}"/>
+<updated>${feed.updated}</updated>
+<author><name>Yogastraa</name></author>
+${entries}
+</feed>
+`;
+}
+
+export function renderJsonFeed(feed) {
+    const doc = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: selfUrl(feed, 'feed.json'),
+        description: feed.description,
+        language: 'en',
+        authors: [{ name: 'Yogastraa' }],
+        items: feed.items.map(i => ({
+            id: i.id,
+            url: i.url,
+            title: i.title,
+            summary: i.summary,
+            content_html: i.contentHtml,
+            ...(i.image ? { image: i.image, attachments: [{ url: i.image, mime_type: imageType(i.image) }] } : {}),
+            date_published: i.published,
+            date_modified: i.updated,
+            authors: [{ name: i.author }],
+            tags: i.categories,
+        })),
+    };
+    return `${JSON.stringify(doc, null, 2)}\n`;
+}
@@ -0,0 +1,22 @@
+// scripts/lib/html.js
+// HTML & URL helpers shared by the generator, the template engine & the Markdown renderer.
+
+export function escapeHtml(s) {
+    if (s === null || s === undefined) return '';
+    return String(s)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;');
+}
+
+/** URL/id-safe slug: lowercase, accents stripped, non-Latin letters kept */
+export function slugify(text, fallback = 'section') {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+        .trim()
+        .replace(/[\s-]+/g, '-') || fallback;
+}
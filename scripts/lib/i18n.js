@@ -0,0 +1,59 @@
+// scripts/lib/i18n.js
+// Locales for generated pages. English lives at the site root; other locales get
+// a /<code>/ prefix (/hi/knowledge/articles/...) and are only generated for
+// articles & tips the API sends translations for:
+//   { "title": "...", "content": "...", "translations": { "hi": { "title": "...", "content": "..." } } }
+// UI strings come from message catalogs, templates/locales/<code>.json; keys
+// missing from a catalog fall back to English.
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+    en: { name: 'English', prefix: '', hreflang: 'en', ogLocale: 'en_US', dateLocale: 'en-GB' },
+    hi: { name: 'हिन्दी', prefix: '/hi', hreflang: 'hi', ogLocale: 'hi_IN', dateLocale: 'hi-IN' },
+    bn: { name: 'বাংলা', prefix: '/bn', hreflang: 'bn', ogLocale: 'bn_IN', dateLocale: 'bn-IN' },
+};
+
+/** { [code]: messages } for every locale in LOCALES, English filling the gaps */
+export async function loadCatalogs(dir) {
+    const read = async (code) => JSON.parse(await fs.readFile(path.join(dir, `${code}.json`), 'utf-8'));
+    const base = await read(DEFAULT_LOCALE);
+    const catalogs = { [DEFAULT_LOCALE]: base };
+    for (const code of Object.keys(LOCALES).filter(c => c !== DEFAULT_LOCALE)) {
+        let messages = {};
+        try {
+            messages = await read(code);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw new Error(`Invalid message catalog ${code}.json: ${e.message}`);
+        }
+        const missing = Object.keys(base).filter(k => !(k in messages));
+        if (missing.length) console.warn(`Locale ${code}: ${missing.length} message(s) fall back to English (${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''})`);
+        catalogs[code] = { ...base, ...messages };
+    }
+    return catalogs;
+}
+
+/** fill {name} placeholders in a catalog message */
+export function format(message, vars = {}) {
+    return message.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+/** site path in a locale: localePath('hi', '/knowledge/tips/') -> '/hi/knowledge/tips/' */
+export function localePath(code, urlPath) {
+    return `${LOCALES[code].prefix}${urlPath}`;
+}
+
+/** the item's translated fields for `code` (null when there are none); English is the item itself */
+export function translation(item, code) {
+    if (code === DEFAULT_LOCALE) return item;
+    const t = item?.translations?.[code];
+    return t && typeof t === 'object' && (t.title || t.content) ? t : null;
+}
+
+/** date as the locale writes it (en: DD/MM/YYYY) */
+export function formatDate(dateStr, code = DEFAULT_LOCALE) {
+    const d = new Date(dateStr);
+    return Number.isNaN(d.getTime()) ? String(dateStr) : d.toLocaleDateString(LOCALES[code].dateLocale);
+}
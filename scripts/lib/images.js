@@ -0,0 +1,195 @@
+// scripts/lib/images.js
+// Responsive images: fetches (or reads from public/) each referenced image once,
+// writes resized AVIF & WebP variants to /assets/img/ through the output writer
+// and returns what partials/picture.html needs (srcset per format, width/height).
+// Downloads and encoded variants are cached on disk so rebuilds stay fast and
+// offline builds can reuse images fetched earlier. Also renders the title cards
+// used as og:image for articles without images.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { escapeHtml, slugify } from './html.js';
+
+export const IMAGE_WIDTHS = [400, 800, 1200, 1600];
+const MAX_WIDTH = 2000;
+const VARIANTS_PATH = '/assets/img/';
+const FETCH_TIMEOUT_MS = 20000;
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_BACKGROUND = '/assets/background-image.png';
+const CARD_VERSION = 1; // bump when the card design changes, cached cards are keyed on it
+
+export const IMAGE_FORMATS = [
+    { format: 'avif', type: 'image/avif', options: { quality: 50, effort: 2 } },
+    { format: 'webp', type: 'image/webp', options: { quality: 75 } },
+];
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function readIfExists(file) {
+    try {
+        return await fs.readFile(file);
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+async function writeCache(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+}
+
+/** variant widths for an image `width` px wide: the standard steps below it plus its own (capped) width */
+function variantWidths(width) {
+    return [...new Set([...IMAGE_WIDTHS.filter(w => w < width), Math.min(width, MAX_WIDTH)])];
+}
+
+/** greedy word wrap; the last line gets an ellipsis when the text doesn't fit */
+function wrapLines(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+    const words = String(text).split(/\s+/).filter(Boolean);
+    for (let i = 0; i < words.length; i++) {
+        const next = line ? `${line} ${words[i]}` : words[i];
+        if (next.length <= maxChars || !line) {
+            line = next;
+            continue;
+        }
+        if (lines.length === maxLines - 1) {
+            lines.push(`${line}…`);
+            return lines;
+        }
+        lines.push(line);
+        line = words[i];
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/** title overlay for a social card, drawn over the darkened site background */
+function cardSvg(title) {
+    const lines = wrapLines(title, 24, 4);
+    const size = lines.length > 3 ? 54 : 60;
+    const lineHeight = Math.round(size * 1.2);
+    const first = Math.round((CARD_HEIGHT - lineHeight * lines.length) / 2 + size * 0.8);
+    const tspans = lines.map((l, i) => `<tspan x="80" y="${first + i * lineHeight}">${escapeHtml(l)}</tspan>`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}">
+<rect width="100%" height="100%" fill="#0A416B" fill-opacity="0.78"/>
+<rect x="80" y="70" width="120" height="8" fill="#4FB19D"/>
+<text font-family="Roboto, sans-serif" font-size="${size}" font-weight="700" fill="#ffffff">${tspans}</text>
+<text x="80" y="${CARD_HEIGHT - 70}" font-family="Roboto, sans-serif" font-size="32" font-weight="700" fill="#edce7a">Yogastraa · yogastraa.com</text>
+</svg>`;
+}
+
+/**
+ * `out` is the output writer, `cacheDir` holds downloads & encoded variants,
+ * `staticDir` is where site-relative URLs (/assets/...) are read from, and URLs
+ * on `siteHosts` count as site-relative too. With `enabled: false` images are
+ * passed through untouched (no srcset), which keeps quick local builds quick.
+ */
+export function createImagePipeline({ out, cacheDir, staticDir = 'public', siteHosts = [], enabled = true }) {
+    const seen = new Map();
+    const written = new Map(); // variant file -> source hash; one image can be reached through several URLs
+
+    function localPath(url) {
+        const u = new URL(url, 'https://local.invalid');
+        if (u.host !== 'local.invalid' && !siteHosts.includes(u.host)) return null;
+        return path.join(staticDir, decodeURIComponent(u.pathname));
+    }
+
+    async function loadSource(url) {
+        const local = localPath(url);
+        if (local) return { data: await fs.readFile(local), local: true };
+
+        const cached = path.join(cacheDir, 'src', sha256(url));
+        const hit = await readIfExists(cached);
+        if (hit) return { data: hit, local: false };
+        const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = Buffer.from(await res.arrayBuffer());
+        await writeCache(cached, data);
+        return { data, local: false };
+    }
+
+    async function encode(data, hash, width, fmt) {
+        const cached = path.join(cacheDir, 'variants', `${hash}-${width}.${fmt.format}`);
+        const hit = await readIfExists(cached);
+        if (hit) return hit;
+        const buf = await sharp(data).rotate().resize({ width, withoutEnlargement: true }).toFormat(fmt.format, fmt.options).toBuffer();
+        await writeCache(cached, buf);
+        return buf;
+    }
+
+    async function process(url) {
+        const { data, local } = await loadSource(url);
+        const meta = await sharp(data).metadata();
+        if (!meta.width || !meta.height) throw new Error('unknown image size');
+        // EXIF orientations 5-8 are rotated by 90°, rotate() above applies them
+        const [width, height] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+        const hash = sha256(data);
+
+        // site assets get stable names (static pages link to them), remote ones a content hash
+        const base = slugify(path.basename(new URL(url, 'https://local.invalid').pathname).replaceAll('.', '-'), 'image');
+        const name = local ? base : `${base}-${hash.slice(0, 10)}`;
+
+        const sources = [];
+        for (const fmt of IMAGE_FORMATS) {
+            const srcset = [];
+            for (const w of variantWidths(width)) {
+                const file = `${VARIANTS_PATH}${name}-${w}.${fmt.format}`;
+                if (!written.has(file)) {
+                    written.set(file, hash);
+                    await out.write(file, await encode(data, hash, w, fmt));
+                } else if (written.get(file) !== hash) {
+                    throw new Error(`${file} is already used for a different image`);
+                }
+                srcset.push(`${file} ${w}w`);
+            }
+            sources.push({ type: fmt.type, srcset: srcset.join(', ') });
+        }
+        return { src: url, width, height, sources };
+    }
+
+    /** { src, width, height, sources: [{ type, srcset }] }; falls back to the plain URL on failure */
+    function image(url) {
+        if (!seen.has(url)) {
+            const plain = { src: url, width: null, height: null, sources: [] };
+            seen.set(url, enabled ? process(url).catch(e => {
+                console.warn(`Image ${url}: ${e.message} (using it as-is)`);
+                return plain;
+            }) : Promise.resolve(plain));
+        }
+        return seen.get(url);
+    }
+
+    /** render /assets/og/<name>.jpg with `title` on it; { src, width, height } or null when skipped */
+    async function socialCard(name, title) {
+        if (!enabled) return null;
+        try {
+            const background = await fs.readFile(path.join(staticDir, CARD_BACKGROUND));
+            const svg = cardSvg(title);
+            const cached = path.join(cacheDir, 'cards', `${sha256(`${CARD_VERSION}\n${sha256(background)}\n${svg}`)}.jpg`);
+            let buf = await readIfExists(cached);
+            if (!buf) {
+                buf = await sharp(background)
+                    .resize(CARD_WIDTH, CARD_HEIGHT, { fit: 'cover' })
+                    .composite([{ input: Buffer.from(svg) }])
+                    .jpeg({ quality: 82 })
+                    .toBuffer();
+                await writeCache(cached, buf);
+            }
+            await out.write(`/assets/og/${name}.jpg`, buf);
+            return { src: `/assets/og/${encodeURIComponent(name)}.jpg`, width: CARD_WIDTH, height: CARD_HEIGHT };
+        } catch (e) {
+            console.warn(`Social card for ${name}: ${e.message}`);
+            return null;
+        }
+    }
+
+    return { image, socialCard };
+}
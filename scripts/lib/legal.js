@@ -0,0 +1,111 @@
+// scripts/lib/legal.js
+// Legal & policy pages (privacy policy, terms ...) from versioned Markdown:
+// content/legal/<page>/<version>.md, one file per published version. A version
+// isn't edited once it is in effect: changes go into a new file, so the version
+// history and the "what changed" pages stay true. Each file starts with:
+//   ---
+//   title: Privacy Policy
+//   description: meta description
+//   version: 1.1
+//   effective: 2026-10-19 (the day it takes effect; left out when unknown, no date is shown)
+//   changes: one line on what changed, for the version history (optional)
+//   ---
+// <page> is the URL (/privacyPolicy/), where the newest version in effect is published.
+import fs from 'fs/promises';
+import path from 'path';
+import { markdownToText } from './markdown.js';
+
+const REQUIRED = ['title', 'version'];
+const VERSION_RE = /^[0-9A-Za-z][0-9A-Za-z.-]*$/; // used in URLs: /<page>/versions/<version>/
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** { data, body }: `key: value` lines between `---` fences at the top (no nesting or lists) */
+export function parseFrontMatter(src, file = 'front matter') {
+    const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(src);
+    if (!m) return { data: {}, body: src };
+    const data = {};
+    for (const [n, line] of m[1].split(/\r?\n/).entries()) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        const kv = /^([\w-]+):\s*(.*?)\s*$/.exec(line);
+        if (!kv) throw new Error(`${file}:${n + 2}: expected "key: value" in the front matter`);
+        data[kv[1]] = kv[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+    return { data, body: src.slice(m[0].length) };
+}
+
+/** 1.0 < 1.1 < 1.10 < 2.0 */
+function compareVersions(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+async function readVersion(file) {
+    const { data, body } = parseFrontMatter(await fs.readFile(file, 'utf-8'), file);
+    for (const key of REQUIRED) {
+        if (!data[key]) throw new Error(`${file}: front matter needs "${key}"`);
+    }
+    if (!VERSION_RE.test(data.version)) throw new Error(`${file}: version "${data.version}" may only use letters, digits, "." and "-"`);
+    if (data.effective && (!DATE_RE.test(data.effective) || Number.isNaN(Date.parse(data.effective)))) {
+        throw new Error(`${file}: effective "${data.effective}" is not a YYYY-MM-DD date`);
+    }
+    return {
+        version: data.version,
+        title: data.title,
+        description: data.description || '',
+        effective: data.effective || '',
+        changes: data.changes || '',
+        body,
+        file,
+    };
+}
+
+/**
+ * Legal pages under `dir`: [{ slug, url, versions }], `versions` lowest number first.
+ * Versions taking effect after `asOf` (ISO date) are held back until a build on
+ * or after that day publishes them. No `dir` means no legal pages.
+ */
+export async function loadLegalPages(dir, { asOf = new Date().toISOString() } = {}) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+    const today = asOf.slice(0, 10);
+    const pages = [];
+    for (const slug of entries.filter(e => e.isDirectory()).map(e => e.name).sort()) {
+        const versions = [];
+        for (const name of (await fs.readdir(path.join(dir, slug))).filter(n => n.endsWith('.md')).sort()) {
+            const v = await readVersion(path.join(dir, slug, name));
+            const same = versions.find(o => o.version === v.version);
+            if (same) throw new Error(`${v.file}: version ${v.version} is already in ${same.file}`);
+            versions.push(v);
+        }
+        versions.sort((a, b) => compareVersions(a.version, b.version));
+        // where both have a date, a higher version can't take effect earlier
+        const dated = versions.filter(v => v.effective);
+        for (const [i, v] of dated.entries()) {
+            if (i && v.effective < dated[i - 1].effective) {
+                throw new Error(`${v.file}: version ${v.version} takes effect before version ${dated[i - 1].version} (${dated[i - 1].effective})`);
+            }
+        }
+        const published = versions.filter(v => !v.effective || v.effective <= today);
+        for (const v of versions.filter(v => !published.includes(v))) console.log(`${v.file}: takes effect on ${v.effective}, not published yet`);
+        if (published.length) pages.push({ slug, url: `/${encodeURIComponent(slug)}/`, versions: published });
+    }
+    return pages;
+}
+
+/**
+ * A version's text as lines for lib/diff.js: one per non-blank Markdown line,
+ * as plain text (list items keep their number or a bullet), compared ignoring spacing.
+ */
+export function diffableLines(markdown) {
+    return String(markdown).split('\n').filter(line => line.trim()).map(line => {
+        const heading = /^\s{0,3}#{1,6}\s/.test(line);
+        const item = heading ? null : /^(\s*)(\d{1,9}[.)]|[-*+])\s+/.exec(line);
+        const marker = item ? `${/\d/.test(item[2]) ? item[2] : item[1] ? '◦' : '•'} ` : '';
+        const text = marker + markdownToText(line).trim();
+        return { key: text.replace(/\s+/g, ' '), text, heading };
+    });
+}
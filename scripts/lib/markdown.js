@@ -0,0 +1,330 @@
+// scripts/lib/markdown.js
+// Small, dependency-free Markdown renderer for article content.
+//
+// Supported: headings, paragraphs (single newlines become <br/>), **bold**, *em*,
+// `code`, fenced code blocks, [links](url), ![images](url), <https://autolinks>,
+// ordered/unordered (nested) lists, > blockquotes and --- rules.
+//
+// Safety: raw HTML in the source is always escaped, never passed through. Every
+// element goes through tag(), which only emits tags/attributes on the allow-list
+// below, and URLs are limited to http(s), mailto, tel, site-relative and #anchors.
+// Plain text (what the admin app stored so far) renders exactly as before.
+import { escapeHtml, slugify } from './html.js';
+
+const ALLOWED = {
+    p: [], br: [], hr: [], strong: [], em: [], code: [], pre: [], blockquote: [],
+    ul: [], ol: ['start'], li: [],
+    h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    a: ['href', 'title', 'target', 'rel', 'class', 'aria-label'],
+    img: ['src', 'alt', 'title', 'loading', 'class'],
+};
+const VOID = new Set(['br', 'hr', 'img']);
+
+function tag(name, attrs = {}, inner = '') {
+    const allowed = ALLOWED[name];
+    if (!allowed) throw new Error(`Markdown renderer tried to emit disallowed tag <${name}>`);
+    const attrHtml = Object.entries(attrs)
+        .filter(([k, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => {
+            if (!allowed.includes(k)) throw new Error(`Markdown renderer tried to emit disallowed attribute ${k} on <${name}>`);
+            return ` ${k}="${escapeHtml(v)}"`;
+        })
+        .join('');
+    return VOID.has(name) ? `<${name}${attrHtml} />` : `<${name}${attrHtml}>${inner}</${name}>`;
+}
+
+/** returns the URL if it is safe to link to, otherwise null */
+function safeUrl(url) {
+    const u = String(url || '').trim();
+    if (!u) return null;
+    if (/^(https?:|mailto:|tel:)/i.test(u)) return u;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(u)) return null; // javascript:, data:, vbscript: ...
+    if (u.startsWith('//')) return null; // protocol-relative: ambiguous, refuse
+    return u; // relative path or #anchor
+}
+
+function isExternal(url, siteHosts) {
+    const m = /^https?:\/\/([^/:?#]+)/i.exec(url);
+    return !!m && !siteHosts.includes(m[1].toLowerCase());
+}
+
+// ---------------------------------------------------------------------------
+// inline
+// ---------------------------------------------------------------------------
+
+const PH = '\u0000'; // placeholder marker; stripped from the source up front
+const PH_RE = new RegExp(`${PH}(\\d+)${PH}`, 'g');
+
+/**
+ * *em*, **strong** (and _ / __) in escaped text, matched like nested brackets:
+ * a closing run pairs with the nearest open run of the same character, runs
+ * opened in between stay literal, so the tags always nest. Unmatched markers
+ * are left as text.
+ */
+function renderEmphasis(s) {
+    const parts = []; // strings and delimiter runs { char, count, canOpen, open: [], close: [] }
+    const stack = [];
+    let last = 0;
+    for (const m of s.matchAll(/\*+|_+/g)) {
+        parts.push(s.slice(last, m.index));
+        last = m.index + m[0].length;
+        const before = s[m.index - 1] || ' ';
+        const after = s[last] || ' ';
+        const underscore = m[0][0] === '_';
+        const run = {
+            char: m[0][0],
+            count: m[0].length,
+            canOpen: /\S/.test(after) && !(underscore && /\w/.test(before)),
+            canClose: /\S/.test(before) && !(underscore && /\w/.test(after)),
+            open: [],
+            close: [],
+        };
+        parts.push(run);
+        if (run.canClose) {
+            for (let i = stack.length - 1; i >= 0 && run.count;) {
+                const opener = stack[i];
+                if (opener.char !== run.char) {
+                    i--;
+                    continue;
+                }
+                const use = opener.count >= 2 && run.count >= 2 ? 2 : 1;
+                const name = use === 2 ? 'strong' : 'em';
+                opener.count -= use;
+                run.count -= use;
+                opener.open.unshift(`<${name}>`); // later matches wrap earlier ones
+                run.close.push(`</${name}>`);
+                stack.length = opener.count ? i + 1 : i; // runs opened inside stay literal
+                if (!opener.count) i--;
+            }
+        }
+        if (run.count && run.canOpen) stack.push(run);
+    }
+    parts.push(s.slice(last));
+    // leftover marker characters sit outside the tags they took part in
+    return parts.map(p => (typeof p === 'string' ? p : p.close.join('') + p.char.repeat(p.count) + p.open.join(''))).join('');
+}
+
+/** `stash` holds finished HTML for placeholders; links pass theirs on to the label */
+function renderInline(text, ctx, { links = true, stash = [] } = {}) {
+    const keep = (html, plain = '') => `${PH}${stash.push({ html, plain }) - 1}${PH}`;
+
+    let s = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => keep(tag('code', {}, escapeHtml(code.trim())), code.trim()));
+
+    if (links) {
+        s = s.replace(/(!?)\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (m, bang, label, url, title) => {
+            const href = safeUrl(url);
+            if (bang) {
+                const alt = label.replace(PH_RE, (p, i) => stash[Number(i)].plain);
+                return href ? keep(tag('img', { src: href, alt, title, loading: 'lazy', class: 'img-fluid rounded' })) : keep(escapeHtml(label));
+            }
+            const inner = renderInline(label, ctx, { links: false, stash });
+            if (!href) return keep(inner);
+            const external = isExternal(href, ctx.siteHosts);
+            return keep(tag('a', { href, title, target: external ? '_blank' : undefined, rel: external ? 'noopener' : undefined }, inner));
+        });
+        s = s.replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/gi, (m, url) => {
+            const external = isExternal(url, ctx.siteHosts);
+            return keep(tag('a', { href: url, target: external ? '_blank' : undefined, rel: external ? 'noopener' : undefined }, escapeHtml(url)));
+        });
+    }
+
+    s = renderEmphasis(escapeHtml(s)).replace(/\n/g, '<br/>');
+
+    // a placeholder can hold others (a link label's code span)
+    while (PH_RE.test(s)) s = s.replace(PH_RE, (m, i) => stash[Number(i)].html);
+    return s;
+}
+
+// ---------------------------------------------------------------------------
+// blocks
+// ---------------------------------------------------------------------------
+
+const RE = {
+    fence: /^\s{0,3}(```|~~~)\s*([\w-]*)\s*$/,
+    heading: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+    hr: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+    quote: /^\s{0,3}>\s?/,
+    bullet: /^(\s*)([-*+])\s+(.*)$/,
+    ordered: /^(\s*)(\d{1,9})[.)]\s+(.*)$/,
+    blank: /^\s*$/,
+};
+
+function listMarker(line) {
+    const b = RE.bullet.exec(line);
+    if (b) return { indent: b[1].length, ordered: false, start: 1, text: b[3], width: b[1].length + b[2].length + 1 };
+    const o = RE.ordered.exec(line);
+    if (o) return { indent: o[1].length, ordered: true, start: Number(o[2]), text: o[3], width: o[1].length + o[2].length + 2 };
+    return null;
+}
+
+function startsBlock(line) {
+    return RE.fence.test(line) || RE.heading.test(line) || RE.hr.test(line) || RE.quote.test(line) || !!listMarker(line);
+}
+
+function indentOf(line) {
+    return /^\s*/.exec(line)[0].length;
+}
+
+function renderHeading(level, text, ctx) {
+    const lvl = Math.max(2, level); // the page title is the only <h1>
+    const plain = markdownToText(text);
+    let id = slugify(plain);
+    for (let n = 2; ctx.ids.has(id); n++) id = `${slugify(plain)}-${n}`;
+    ctx.ids.add(id);
+    ctx.headings.push({ level: lvl, id, text: plain });
+    const anchor = tag('a', { href: `#${id}`, class: 'heading-anchor', 'aria-label': ctx.anchorLabel(plain) }, '#');
+    return tag(`h${lvl}`, { id }, `${renderInline(text, ctx)} ${anchor}`);
+}
+
+function renderList(lines, i, ctx) {
+    const first = listMarker(lines[i]);
+    const items = [];
+    let current = null;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const m = listMarker(line);
+        if (m && m.indent <= first.indent + 1 && m.ordered === first.ordered) {
+            current = { lines: [m.text], width: m.width };
+            items.push(current);
+            i++;
+            continue;
+        }
+        if (RE.blank.test(line)) {
+            // a blank line only continues the list if the next line belongs to it
+            const next = lines[i + 1];
+            if (next === undefined || (indentOf(next) < current.width && !(listMarker(next)?.indent <= first.indent + 1))) break;
+            current.lines.push('');
+            i++;
+            continue;
+        }
+        if (indentOf(line) >= current.width || (m && m.indent > first.indent + 1)) {
+            current.lines.push(line.slice(Math.min(indentOf(line), current.width)));
+            i++;
+            continue;
+        }
+        if (startsBlock(line)) break;
+        current.lines.push(line.trim()); // lazy continuation of the item's paragraph
+        i++;
+    }
+
+    const lis = items.map(item => {
+        const body = item.lines.join('\n');
+        const loose = /\n\s*\n/.test(body.trim());
+        const html = loose ? renderBlocks(item.lines, ctx) : renderTight(item.lines, ctx);
+        return tag('li', {}, html);
+    }).join('\n');
+
+    const attrs = first.ordered && first.start !== 1 ? { start: String(first.start) } : {};
+    return { html: tag(first.ordered ? 'ol' : 'ul', attrs, `\n${lis}\n`), next: i };
+}
+
+/** list item without blank lines: leading text inline, nested blocks after it */
+function renderTight(lines, ctx) {
+    let j = 0;
+    const text = [];
+    while (j < lines.length && (j === 0 || !startsBlock(lines[j]))) text.push(lines[j++]);
+    const rest = j < lines.length ? renderBlocks(lines.slice(j), ctx) : '';
+    return renderInline(text.join('\n').trim(), ctx) + (rest ? `\n${rest}` : '');
+}
+
+function renderBlocks(lines, ctx) {
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (RE.blank.test(line)) { i++; continue; }
+
+        const fence = RE.fence.exec(line);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+            i++; // closing fence (or end of input)
+            out.push(tag('pre', {}, tag('code', {}, escapeHtml(body.join('\n')))));
+            continue;
+        }
+
+        const heading = RE.heading.exec(line);
+        if (heading) {
+            out.push(renderHeading(heading[1].length, heading[2], ctx));
+            i++;
+            continue;
+        }
+
+        if (RE.hr.test(line)) {
+            out.push(tag('hr'));
+            i++;
+            continue;
+        }
+
+        if (RE.quote.test(line)) {
+            const body = [];
+            while (i < lines.length && !RE.blank.test(lines[i]) && (RE.quote.test(lines[i]) || !startsBlock(lines[i]))) {
+                body.push(lines[i++].replace(RE.quote, ''));
+            }
+            out.push(tag('blockquote', {}, `\n${renderBlocks(body, ctx)}\n`));
+            continue;
+        }
+
+        if (listMarker(line)) {
+            const { html, next } = renderList(lines, i, ctx);
+            out.push(html);
+            i = next;
+            continue;
+        }
+
+        const para = [];
+        while (i < lines.length && !RE.blank.test(lines[i]) && (para.length === 0 || !startsBlock(lines[i]))) {
+            para.push(lines[i++].trim());
+        }
+        out.push(tag('p', {}, renderInline(para.join('\n'), ctx)));
+    }
+    return out.join('\n');
+}
+
+/**
+ * Render Markdown to sanitized HTML.
+ * `siteHosts` are hosts treated as internal (no target/rel on their links);
+ * `anchorLabel(heading)` names the # link next to each heading, for screen readers.
+ * Returns { html, headings: [{ level, id, text }] }.
+ */
+export function renderMarkdown(src, { siteHosts = ['yogastraa.com', 'www.yogastraa.com'], anchorLabel = (heading) => `Link to ${heading}` } = {}) {
+    const ctx = { siteHosts, anchorLabel, ids: new Set(), headings: [] };
+    if (!src) return { html: '', headings: [] };
+    const lines = String(src).replaceAll(PH, '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return { html: renderBlocks(lines, ctx), headings: ctx.headings };
+}
+
+/** table of contents for h2/h3 headings; empty when there are fewer than two. `label` is its aria-label */
+export function renderToc(headings, { title = 'Contents', label = 'Table of contents' } = {}) {
+    const entries = headings.filter(h => h.level <= 3);
+    if (entries.length < 2) return '';
+    const items = entries.map(h => {
+        const link = `<a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a>`;
+        return `<li class="toc-level-${h.level}">${link}</li>`;
+    }).join('\n');
+    return `<nav class="article-toc mb-4" aria-label="${escapeHtml(label)}">
+  <p class="fw-bold mb-2">${escapeHtml(title)}</p>
+  <ul class="list-unstyled mb-0">
+${items}
+  </ul>
+</nav>`;
+}
+
+/** strip Markdown syntax, e.g. for meta descriptions & excerpts */
+export function markdownToText(src) {
+    if (!src) return '';
+    return String(src)
+        .replace(/^\s{0,3}(```|~~~).*$/gm, '')
+        .replace(/!?\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+        .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/gi, '$1')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s{0,3}>\s?/gm, '')
+        .replace(/^\s*(?:[-*+]|\d{1,9}[.)])\s+/gm, '')
+        .replace(/^\s{0,3}([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_](?=\S)(.+?)[*_](?!\w)/g, '$1$2')
+        .replace(/`+([^`]*)`+/g, '$1');
+}
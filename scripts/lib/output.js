@@ -0,0 +1,144 @@
+// scripts/lib/output.js
+// Writes generated files through a build manifest (content hash per output file)
+// so unchanged pages are left untouched and pages we generated earlier but no
+// longer produce are removed. Only files listed in the manifest are ever deleted,
+// hand-maintained pages under public/ are never touched. The manifest lives
+// outside the output directory (default .cache/build-manifest.json), so it is
+// never published; it remembers which directory it describes.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// where builds before the manifest moved out of the output directory left it
+const LEGACY_MANIFEST_FILE = '.build-manifest.json';
+const MANIFEST_VERSION = 2;
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/** the last build's manifest for `root`: none (nothing to prune) if it describes another directory */
+async function readManifest(file, root) {
+    const empty = { version: MANIFEST_VERSION, root, files: {} };
+    let m;
+    try {
+        m = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn(`Ignoring unreadable build manifest ${file}: ${e.message}`);
+        return empty;
+    }
+    if (!m || m.version !== MANIFEST_VERSION || !m.files || typeof m.files !== 'object') {
+        console.warn(`Ignoring build manifest with unknown format: ${file}`);
+        return empty;
+    }
+    if (m.root !== root) {
+        console.warn(`Ignoring build manifest ${file}: it is for ${m.root}, not ${root}`);
+        return empty;
+    }
+    return m;
+}
+
+async function hashFile(file) {
+    try {
+        return hashContent(await fs.readFile(file));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+/** remove now-empty directories from `dir` up to (not including) `root` */
+async function pruneEmptyDirs(dir, root) {
+    while (dir.startsWith(root + path.sep)) {
+        try {
+            await fs.rmdir(dir);
+        } catch (e) {
+            return; // not empty (or already gone)
+        }
+        dir = path.dirname(dir);
+    }
+}
+
+function toKey(relPath) {
+    return relPath.split(path.sep).join('/').replace(/^\/+/, '');
+}
+
+/**
+ * Create a writer rooted at `outDir`, keeping its manifest in `manifestFile`
+ * (outside `outDir`). Paths passed to write() are relative to `outDir`.
+ * hashOf() returns the content hash of a file already written in this build.
+ * Call finish() once everything is written: it removes stale outputs, saves the
+ * new manifest and returns { added, updated, removed, unchanged } path lists.
+ * finish({ partial: true }) is for builds that wrote only some sections: nothing
+ * is removed and the manifest keeps the last build's other files.
+ */
+export async function createOutputWriter(outDir, { manifestFile = path.join('.cache', 'build-manifest.json') } = {}) {
+    const root = path.resolve(outDir);
+    const manifestPath = path.resolve(manifestFile);
+    if (manifestPath.startsWith(root + path.sep)) throw new Error(`The build manifest ${manifestPath} must be outside the output directory ${root}`);
+    const previous = await readManifest(manifestPath, root);
+    const files = {};
+    const result = { added: [], updated: [], removed: [], unchanged: [] };
+
+    async function write(relPath, content) {
+        const key = toKey(relPath);
+        if (files[key]) throw new Error(`Output written twice in one build: ${key}`);
+        const file = path.join(root, key);
+        const hash = hashContent(content);
+        files[key] = hash;
+
+        const onDisk = await hashFile(file);
+        if (onDisk === hash) {
+            result.unchanged.push(key);
+            return false;
+        }
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, content, 'utf-8');
+        (onDisk === null ? result.added : result.updated).push(key);
+        return true;
+    }
+
+    /** content hash of a file written in this build (undefined if it wasn't) */
+    function hashOf(relPath) {
+        return files[toKey(relPath)];
+    }
+
+    async function finish({ partial = false } = {}) {
+        if (partial) {
+            for (const [key, hash] of Object.entries(previous.files)) files[key] ??= hash;
+        }
+        for (const key of Object.keys(previous.files)) {
+            if (files[key]) continue;
+            const file = path.join(root, key);
+            try {
+                await fs.unlink(file);
+                result.removed.push(key);
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+            await pruneEmptyDirs(path.dirname(file), root);
+        }
+
+        const sorted = Object.fromEntries(Object.keys(files).sort().map(k => [k, files[k]]));
+        const manifest = JSON.stringify({ version: MANIFEST_VERSION, root, files: sorted }, null, 2) + '\n';
+        await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+        await fs.writeFile(manifestPath, manifest, 'utf-8');
+        // don't publish an old-style manifest left in the output directory
+        await fs.rm(path.join(root, LEGACY_MANIFEST_FILE), { force: true });
+        return result;
+    }
+
+    return { root, write, hashOf, finish };
+}
+
+/** one-line-per-kind summary of a finish() result */
+export function formatSummary(result) {
+    const lines = [
+        `Pages: ${result.added.length} added, ${result.updated.length} updated, ` +
+        `${result.removed.length} removed, ${result.unchanged.length} unchanged`,
+    ];
+    for (const kind of ['added', 'updated', 'removed']) {
+        for (const key of result[kind]) lines.push(`  ${kind.padEnd(7)} ${key}`);
+    }
+    return lines.join('\n');
+}
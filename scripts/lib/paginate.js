@@ -0,0 +1,62 @@
+// scripts/lib/paginate.js
+// Splits list pages (articles, tips) into /<base>/page/<n>/ pages.
+
+function createdTime(item) {
+    const t = Date.parse(item.createdAt || item.updatedAt);
+    return Number.isNaN(t) ? null : t;
+}
+
+/** newest first by createdAt (then updatedAt); undated items last, ties by id for stable output */
+export function sortNewestFirst(items) {
+    return [...items].sort((a, b) => {
+        const ta = createdTime(a);
+        const tb = createdTime(b);
+        if (ta !== tb) {
+            if (ta === null) return 1;
+            if (tb === null) return -1;
+            return tb - ta;
+        }
+        return String(a.id ?? '').localeCompare(String(b.id ?? ''), undefined, { numeric: true });
+    });
+}
+
+/** URL of page `n` of a list rooted at `base` (e.g. /knowledge/articles/) */
+export function pageUrl(base, n) {
+    return n <= 1 ? base : `${base}page/${n}/`;
+}
+
+/** page numbers to show: first, last and a window around the current page; null marks a gap */
+function pageWindow(current, total, radius = 2) {
+    const nums = [];
+    for (let n = 1; n <= total; n++) {
+        if (n === 1 || n === total || Math.abs(n - current) <= radius) nums.push(n);
+        else if (nums[nums.length - 1] !== null) nums.push(null);
+    }
+    return nums;
+}
+
+/**
+ * Split `items` into pages of `pageSize` under `base`. Always returns at least one
+ * page. Each page: { number, total, multiple, items, url, prevUrl, nextUrl, links }, where
+ * links drive partials/pagination.html ({ number, url, current } or { gap: true }).
+ */
+export function paginate(items, pageSize, base) {
+    const size = Math.max(1, Math.floor(pageSize) || 1);
+    const total = Math.max(1, Math.ceil(items.length / size));
+    const pages = [];
+    for (let n = 1; n <= total; n++) {
+        pages.push({
+            number: n,
+            total,
+            multiple: total > 1,
+            items: items.slice((n - 1) * size, n * size),
+            url: pageUrl(base, n),
+            prevUrl: n > 1 ? pageUrl(base, n - 1) : null,
+            nextUrl: n < total ? pageUrl(base, n + 1) : null,
+            links: pageWindow(n, total).map(num => (num === null
+                ? { gap: true }
+                : { number: num, url: pageUrl(base, num), current: num === n })),
+        });
+    }
+    return pages;
+}
@@ -0,0 +1,92 @@
+// scripts/lib/practices.js
+// The practice library: asanas, pranayama, mudras & meditations, the records the
+// admin app (public/admin) manages, normalised into entries for the
+// /knowledge/<type>/<slug>/ pages and the per-type index pages.
+// Field names are the API's (camelCase, as in the admin app's response models);
+// they differ by type (steps vs technique for meditations, precaution for asanas
+// vs precautions, lists vs free text), so those fields have their fallbacks here.
+import { slugify } from './html.js';
+import { termNames } from './taxonomy.js';
+
+// keys are the API collections (see lib/data-source.js)
+export const PRACTICE_TYPES = {
+    asanas: { label: 'Asanas', singular: 'Asana', base: '/knowledge/asanas/', exerciseType: 'Yoga asana' },
+    pranayamas: { label: 'Pranayama', singular: 'Pranayama', base: '/knowledge/pranayama/', exerciseType: 'Pranayama (breathing exercise)' },
+    mudras: { label: 'Mudras', singular: 'Mudra', base: '/knowledge/mudras/', exerciseType: 'Mudra (hand gesture)' },
+    meditations: { label: 'Meditations', singular: 'Meditation', base: '/knowledge/meditations/', exerciseType: 'Meditation' },
+};
+
+/** non-empty lines from a list field ([string] or [{ text | description | name }]), else from a free-text field */
+function textList(list, text) {
+    const items = (Array.isArray(list) ? list : [])
+        .map(v => (typeof v === 'string' ? v : v?.text || v?.description || v?.name || ''))
+        .map(v => v.trim())
+        .filter(Boolean);
+    if (items.length) return items;
+    // "1. Sit tall", "- Breathe out" ... one item per line
+    return String(text || '').split('\n').map(l => l.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').trim()).filter(Boolean);
+}
+
+/** "5 min", "5–10 min" (the API keeps durations in minutes) */
+function durationRange(min, max) {
+    const lo = Number(min) || 0;
+    const hi = Number(max) || 0;
+    if (!lo && !hi) return null;
+    return lo && hi && lo !== hi ? { min: Math.min(lo, hi), max: Math.max(lo, hi) } : { min: lo || hi, max: lo || hi };
+}
+
+/**
+ * Page entries for the published items of one type, sorted by name.
+ * Items the admin hasn't published (isPublished false / 0) are left out;
+ * slugs come from `slug`, else the name, and must be unique within the type.
+ */
+export function practiceEntries(type, items) {
+    const { base, singular } = PRACTICE_TYPES[type];
+    const seen = new Set(['page']); // <base>page/2/ is the index
+    const entries = [];
+    for (const item of items) {
+        if (!item || item.isPublished === false || item.isPublished === 0) continue;
+        const name = String(item.name || item.englishName || '').trim();
+        if (!name) continue;
+        const slug = slugify(item.slug || name, `${singular.toLowerCase()}-${item.id}`);
+        if (seen.has(slug)) {
+            console.warn(`Skipping ${singular.toLowerCase()} ${item.id}: duplicate slug "${slug}"`);
+            continue;
+        }
+        seen.add(slug);
+
+        const images = [
+            ...(Array.isArray(item.images) ? item.images : []).map(im => (typeof im === 'string' ? im : im?.url)),
+            item.imageUrl,
+        ].filter(Boolean);
+        const videos = Array.isArray(item.videos) ? item.videos : [];
+        const precautions = [
+            ...textList(item.precautions || item.precaution, item.precautionsText || item.precautionText),
+            ...textList(item.contraindications, item.contraindicationsText),
+        ];
+        entries.push({
+            type,
+            slug,
+            url: `${base}${encodeURIComponent(slug)}/`,
+            name,
+            sanskritName: String(item.sanskritName || '').trim(),
+            description: String(item.description || '').trim(),
+            steps: textList(item.steps?.length ? item.steps : item.technique, item.stepsText || item.techniqueText),
+            benefits: textList(item.benefits, item.benefitsText),
+            precautions: Array.from(new Set(precautions)),
+            images: Array.from(new Set(images)),
+            videoUrl: item.videoUrl || videos.map(v => (typeof v === 'string' ? v : v?.url)).find(Boolean) || null,
+            duration: durationRange(item.minDuration ?? item.duration, item.maxDuration ?? item.duration),
+            terms: {
+                categories: termNames(item.categories),
+                conditions: termNames(item.healthConditions),
+                tags: termNames(item.tags),
+                bodyParts: termNames(item.bodyParts),
+                organs: termNames(item.organs),
+            },
+            published: item.createdAt || item.updatedAt || '',
+            updatedAt: item.updatedAt || item.createdAt || '',
+        });
+    }
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,64 @@
+// scripts/lib/redirects.js
+// Old article URLs keep working without duplicating content: every article has
+// one canonical page (/knowledge/articles/<slug>/) and the legacy <slug>.html
+// file plus any slug the article had before become redirect pages
+// (templates/redirect.html). Past slugs are tracked per article id in a small
+// JSON file that is committed with the repo (see --slug-history in config.js).
+import fs from 'fs/promises';
+
+const HISTORY_VERSION = 1;
+
+/** { version, articles: { [id]: { slug, previous: [] } } }; a missing file is an empty history */
+export async function loadSlugHistory(file) {
+    const empty = { version: HISTORY_VERSION, articles: {} };
+    if (!file) return empty;
+    try {
+        const h = JSON.parse(await fs.readFile(file, 'utf-8'));
+        if (h && h.version === HISTORY_VERSION && h.articles && typeof h.articles === 'object') return h;
+        throw new Error('unknown format');
+    } catch (e) {
+        if (e.code === 'ENOENT') return empty;
+        throw new Error(`Invalid slug history ${file}: ${e.message}`);
+    }
+}
+
+/**
+ * Record the current slug of every article (`{ id, slug }`) in `history`.
+ * An article whose slug changed keeps the old one in `previous`.
+ * Returns the article ids that were renamed in this build.
+ */
+export function recordSlugs(history, articles) {
+    const renamed = [];
+    for (const { id, slug } of articles) {
+        if (id === undefined || id === null) continue;
+        const entry = history.articles[id];
+        if (!entry) {
+            history.articles[id] = { slug, previous: [] };
+        } else if (entry.slug !== slug) {
+            entry.previous = [...entry.previous.filter(s => s !== slug), entry.slug].filter((s, i, all) => all.indexOf(s) === i);
+            entry.slug = slug;
+            renamed.push(String(id));
+        }
+    }
+    return renamed;
+}
+
+/** old slugs of the article with `id` */
+export function previousSlugs(history, id) {
+    return history.articles[id]?.previous || [];
+}
+
+/** write the history back (keys sorted so diffs stay small); false when nothing changed */
+export async function saveSlugHistory(file, history) {
+    const sorted = Object.keys(history.articles).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+    const json = JSON.stringify({ version: HISTORY_VERSION, articles: Object.fromEntries(sorted.map(k => [k, history.articles[k]])) }, null, 2) + '\n';
+    let current = null;
+    try {
+        current = await fs.readFile(file, 'utf-8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    if (current === json) return false;
+    await fs.writeFile(file, json, 'utf-8');
+    return true;
+}
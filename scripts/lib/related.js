@@ -0,0 +1,76 @@
+// scripts/lib/related.js
+// "Related" picks for generated pages, from the taxonomy terms entries already
+// carry (`terms: { categories, conditions, tags }`) and, optionally, how alike
+// their text is: the more two entries share the closer they are, newer entries
+// win ties.
+
+// a shared category says more than a shared tag
+export const TERM_WEIGHTS = { categories: 3, conditions: 2, tags: 1 };
+
+// too common to say anything about what a text is about
+const STOPWORDS = new Set(('the and for with that this from your you are was were have has had not but all can '
+    + 'its it’s into out over under more most some any each such than then them they their there these those '
+    + 'what when where which while who will would should could also just only very about after before again '
+    + 'both few other own same our ours yours been being does did doing how why off once here per one two')
+    .split(' '));
+
+/** how many taxonomy terms two entries share, weighted by kind */
+export function relatedScore(a, b, weights = TERM_WEIGHTS) {
+    let score = 0;
+    for (const [kind, weight] of Object.entries(weights)) {
+        const mine = new Set((a.terms?.[kind] || []).map(n => n.toLowerCase()));
+        for (const name of b.terms?.[kind] || []) if (mine.has(name.toLowerCase())) score += weight;
+    }
+    return score;
+}
+
+/** word counts of a plain text (accents folded, stopwords & 1–2 letter words dropped) */
+export function wordVector(text) {
+    const counts = new Map();
+    const words = String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').split(/[^\p{L}\p{N}]+/u);
+    for (const w of words) {
+        if (w.length < 3 || STOPWORDS.has(w)) continue;
+        counts.set(w, (counts.get(w) || 0) + 1);
+    }
+    return counts;
+}
+
+/** cosine similarity of two word vectors, 0 (nothing shared) to 1 (same words, same mix) */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (const [w, n] of a) {
+        na += n * n;
+        if (b.has(w)) dot += n * b.get(w);
+    }
+    for (const n of b.values()) nb += n * n;
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// word vectors per textOf function & entry, so each text is only counted once per build
+const vectorCache = new WeakMap();
+
+/**
+ * Up to `limit` entries related to `entry` (itself excluded), best first.
+ * `textOf(entry)` adds text similarity, scaled by `textWeight`, to the term score;
+ * only entries scoring above `minScore` count as related. With `fill`, remaining
+ * slots take the newest unrelated entries.
+ */
+export function relatedEntries(entry, entries, { limit = 4, fill = false, weights, textOf, textWeight = 5, minScore = 0 } = {}) {
+    const newer = (a, b) => (b.published || '').localeCompare(a.published || '');
+    if (textOf && !vectorCache.has(textOf)) vectorCache.set(textOf, new WeakMap());
+    const vectorOf = (e) => {
+        const vectors = vectorCache.get(textOf);
+        if (!vectors.has(e)) vectors.set(e, wordVector(textOf(e)));
+        return vectors.get(e);
+    };
+    const scored = entries.filter(e => e !== entry).map(e => ({
+        e,
+        score: relatedScore(entry, e, weights) + (textOf ? textWeight * cosineSimilarity(vectorOf(entry), vectorOf(e)) : 0),
+    }));
+    const related = scored.filter(o => o.score > minScore);
+    const picked = related.sort((x, y) => y.score - x.score || newer(x.e, y.e)).map(o => o.e);
+    if (fill) picked.push(...scored.filter(o => o.score <= minScore).map(o => o.e).sort(newer));
+    return picked.slice(0, limit);
+}
@@ -0,0 +1,44 @@
+// scripts/lib/search-index.js
+// Compact JSON index for the knowledge-section search (public/knowledge/search.js).
+
+export const SEARCH_INDEX_PATH = '/knowledge/search-index.json';
+const SEARCH_INDEX_VERSION = 1;
+const TEXT_MAX = 300;
+
+function clip(text, max = TEXT_MAX) {
+    const t = String(text || '').replace(/\s+/g, ' ').trim();
+    return t.length <= max ? t : t.slice(0, max).replace(/\s+\S*$/, '') + '...';
+}
+
+/**
+ * Build the index from generated article & tip entries (entries carry `terms`,
+ * a `url` and a `lastmod`). Field names are short to keep the file small:
+ * k kind (a|t), u url, ti title, x text, c categories, h health conditions, d date.
+ */
+export function buildSearchIndex(articleEntries, tipEntries) {
+    const docs = [];
+    for (const a of articleEntries) {
+        docs.push({
+            k: 'a',
+            u: a.url,
+            ti: a.title,
+            x: clip(a.excerpt),
+            c: a.terms.categories,
+            h: a.terms.conditions,
+            d: a.lastmod.slice(0, 10),
+        });
+    }
+    for (const t of tipEntries) {
+        docs.push({
+            k: 't',
+            u: t.url,
+            ti: '',
+            x: clip(t.content, 600),
+            c: t.terms.categories,
+            h: t.terms.conditions,
+            d: t.lastmod.slice(0, 10),
+        });
+    }
+    const categories = Array.from(new Set(docs.flatMap(d => d.c))).sort((x, y) => x.localeCompare(y));
+    return { v: SEARCH_INDEX_VERSION, categories, docs };
+}
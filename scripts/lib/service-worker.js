@@ -0,0 +1,60 @@
+// scripts/lib/service-worker.js
+// Precache list & build version for the knowledge-section service worker
+// (templates/knowledge-sw.js -> /knowledge/sw.js, registered by public/knowledge/pwa.js).
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SW_PATH = '/knowledge/sw.js';
+export const SW_SCOPE = '/knowledge/';
+
+// hand-maintained files every knowledge page loads (hashed from public/ to version the cache)
+export const SHARED_ASSETS = [
+    '/knowledge/search.js',
+    '/knowledge/pwa.js',
+    '/assets/js/consent.js',
+    '/assets/site.webmanifest',
+    '/assets/favicon-16x16.png',
+    '/assets/favicon-32x32.png',
+    '/assets/apple-touch-icon.png',
+];
+
+// pinned CDN versions (same URLs as partials/head.html & footer.html), so the URL is the version
+export const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.8/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.8/dist/js/bootstrap.bundle.min.js',
+];
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** output file for a page URL: /knowledge/articles/x/ -> knowledge/articles/x/index.html */
+function fileFor(url) {
+    return decodeURIComponent(url.endsWith('/') ? `${url}index.html` : url);
+}
+
+/**
+ * { version, urls } for the service worker. `urls` are the generated page/data
+ * URLs (already written through `out`) plus the shared & CDN assets; `version`
+ * hashes all their contents, so it only changes when something precached does.
+ */
+export async function buildPrecache({ out, urls, staticDir = 'public' }) {
+    const entries = [];
+    for (const url of urls) {
+        const hash = out.hashOf(fileFor(url));
+        if (!hash) throw new Error(`Precache URL was not generated: ${url}`);
+        entries.push([url, hash]);
+    }
+    for (const url of SHARED_ASSETS) {
+        try {
+            entries.push([url, sha256(await fs.readFile(path.join(staticDir, url)))]);
+        } catch (e) {
+            console.warn(`Not precaching ${url}: ${e.message}`);
+        }
+    }
+    for (const url of CDN_ASSETS) entries.push([url, url]);
+
+    const version = sha256(entries.map(([u, h]) => `${u} ${h}`).join('\n')).slice(0, 12);
+    return { version, urls: entries.map(([u]) => u) };
+}
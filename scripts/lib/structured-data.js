@@ -0,0 +1,136 @@
+// scripts/lib/structured-data.js
+// schema.org JSON-LD for generated pages. Builders return plain objects;
+// jsonLdScript() serialises them for a <script type="application/ld+json">.
+
+export const ORGANIZATION = {
+    '@type': 'Organization',
+    name: 'Yogastraa',
+    url: 'https://yogastraa.com/',
+    logo: { '@type': 'ImageObject', url: 'https://yogastraa.com/assets/logo-alternate.png' },
+};
+
+// articles without a named author are credited to the organisation
+const TEAM_AUTHORS = new Set(['', 'yogastraa', 'yogastraa team']);
+
+/** JSON for inline <script>: `<` is escaped so content can't close the tag */
+export function jsonLdScript(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+export function authorNode(name) {
+    return TEAM_AUTHORS.has(String(name || '').trim().toLowerCase())
+        ? { '@type': 'Organization', name: ORGANIZATION.name, url: ORGANIZATION.url }
+        : { '@type': 'Person', name };
+}
+
+/** crumbs: [{ name, url }] (absolute URLs), last one is the current page */
+export function breadcrumbList(crumbs) {
+    return {
+        '@type': 'BreadcrumbList',
+        itemListElement: crumbs.map((c, i) => ({ '@type': 'ListItem', position: i + 1, name: c.name, item: c.url })),
+    };
+}
+
+/** items: [{ name, url }] (absolute URLs); `offset` continues numbering on later list pages */
+export function itemList(items, offset = 0) {
+    return {
+        '@type': 'ItemList',
+        numberOfItems: items.length,
+        itemListElement: items.map((it, i) => ({ '@type': 'ListItem', position: offset + i + 1, name: it.name, url: it.url })),
+    };
+}
+
+/** VideoObject for a YouTube video */
+export function youtubeVideo({ id, url, title, description, uploadDate }) {
+    return {
+        '@type': 'VideoObject',
+        name: title,
+        description,
+        thumbnailUrl: [`https://i.ytimg.com/vi/${id}/hqdefault.jpg`],
+        uploadDate,
+        embedUrl: `https://www.youtube.com/embed/${id}`,
+        contentUrl: url,
+    };
+}
+
+export function blogPosting({ url, title, description, images, author, keywords, sections, published, modified, video }) {
+    return {
+        '@type': 'BlogPosting',
+        '@id': `${url}#article`,
+        headline: title,
+        description,
+        image: images,
+        author: authorNode(author),
+        publisher: ORGANIZATION,
+        datePublished: published,
+        dateModified: modified,
+        ...(keywords.length ? { keywords: keywords.join(', ') } : {}),
+        ...(sections.length ? { articleSection: sections } : {}),
+        ...(video ? { video } : {}),
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    };
+}
+
+/** a single tip: a short Article whose body is the tip text */
+export function tipArticle({ url, title, text, image, sections, published, modified }) {
+    return {
+        '@type': 'Article',
+        '@id': `${url}#tip`,
+        headline: title,
+        articleBody: text,
+        image,
+        author: authorNode(''),
+        publisher: ORGANIZATION,
+        datePublished: published,
+        dateModified: modified,
+        ...(sections.length ? { articleSection: sections } : {}),
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    };
+}
+
+/** a library practice as an exercise: `exerciseType` says which kind (asana, pranayama ...) */
+export function exerciseAction({ url, name, description, exerciseType, image }) {
+    return {
+        '@type': 'ExerciseAction',
+        '@id': `${url}#exercise`,
+        name,
+        ...(description ? { description } : {}),
+        exerciseType,
+        ...(image ? { image } : {}),
+        url,
+    };
+}
+
+/** step-by-step instructions for a practice; `minutes` becomes totalTime (PT10M) */
+export function howTo({ url, name, description, images, steps, minutes, about }) {
+    return {
+        '@type': 'HowTo',
+        '@id': `${url}#howto`,
+        name,
+        ...(description ? { description } : {}),
+        ...(images.length ? { image: images } : {}),
+        ...(minutes ? { totalTime: `PT${minutes}M` } : {}),
+        step: steps.map((text, i) => ({ '@type': 'HowToStep', position: i + 1, text, url: `${url}#step-${i + 1}` })),
+        ...(about ? { about: { '@id': about } } : {}),
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    };
+}
+
+/** a legal page (privacy policy, terms ...) at one version; `published` is when it took effect, if known */
+export function legalPage({ url, name, description, version, published }) {
+    return {
+        '@type': 'WebPage',
+        '@id': url,
+        url,
+        name,
+        ...(description ? { description } : {}),
+        version,
+        ...(published ? { datePublished: published, dateModified: published } : {}),
+        publisher: ORGANIZATION,
+    };
+}
+
+/** one JSON-LD document holding several top-level nodes */
+export function graph(nodes) {
+    return { '@context': 'https://schema.org', '@graph': nodes.filter(Boolean) };
+}
@@ -0,0 +1,63 @@
+// scripts/lib/taxonomy.js
+// Groups articles, tips & library practices by category, health condition, tag,
+// body part and organ for the /knowledge/<kind>/<slug>/ landing pages.
+import { slugify } from './html.js';
+
+export const TAXONOMIES = {
+    categories: { label: 'Categories', singular: 'Category', base: '/knowledge/categories/' },
+    conditions: { label: 'Health conditions', singular: 'Health condition', base: '/knowledge/conditions/' },
+    tags: { label: 'Tags', singular: 'Tag', base: '/knowledge/tags/' },
+    // only library practices (lib/practices.js) are linked to these
+    bodyParts: { label: 'Body parts', singular: 'Body part', base: '/knowledge/body-parts/' },
+    organs: { label: 'Organs', singular: 'Organ', base: '/knowledge/organs/' },
+};
+
+/** names from an API field that is either [{ name }], [string], { name } or a string */
+export function termNames(value) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    return list.map(v => (typeof v === 'string' ? v : v?.name)).map(n => (n || '').trim()).filter(Boolean);
+}
+
+export function termUrl(kind, name) {
+    return `${TAXONOMIES[kind].base}${encodeURIComponent(slugify(name, 'term'))}/`;
+}
+
+/** { name, url } pairs for badges */
+export function termLinks(kind, names) {
+    return names.map(name => ({ name, url: termUrl(kind, name) }));
+}
+
+/**
+ * Build every term page from already-prepared article, tip & practice entries.
+ * Entries need `terms: { categories, conditions, tags, ... }` name arrays.
+ * Names that slugify the same ("Back pain", "Back Pain") share one page.
+ * Returns { categories: [term], conditions: [term], ... } (every kind in
+ * TAXONOMIES), each sorted by name, where
+ * term = { kind, name, slug, url, articles: [], tips: [], practices: [] }.
+ */
+export function buildTaxonomies(articleEntries, tipEntries, practiceEntries = []) {
+    const maps = Object.fromEntries(Object.keys(TAXONOMIES).map(k => [k, new Map()]));
+
+    function add(kind, name, field, entry) {
+        const slug = slugify(name, 'term');
+        let term = maps[kind].get(slug);
+        if (!term) {
+            term = { kind, name, slug, url: termUrl(kind, name), articles: [], tips: [], practices: [] };
+            maps[kind].set(slug, term);
+        }
+        if (!term[field].includes(entry)) term[field].push(entry);
+    }
+
+    for (const [field, entries] of [['articles', articleEntries], ['tips', tipEntries], ['practices', practiceEntries]]) {
+        for (const e of entries) {
+            for (const kind of Object.keys(TAXONOMIES)) {
+                for (const name of e.terms?.[kind] || []) add(kind, name, field, e);
+            }
+        }
+    }
+
+    return Object.fromEntries(Object.entries(maps).map(([kind, map]) => [
+        kind,
+        [...map.values()].sort((x, y) => x.name.localeCompare(y.name)),
+    ]));
+}
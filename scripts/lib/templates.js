@@ -0,0 +1,232 @@
+// scripts/lib/templates.js
+// Tiny Handlebars-flavoured template engine for templates/.
+//
+//   {{name}} {{a.b}}          value, HTML-escaped (missing values are an error)
+//   {{{name}}}                value, raw: only for HTML the generator built itself
+//   {{#if x}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+//   {{#each list}}..{{else}}..{{/each}}  inside: {{this}}, item fields, @index, @first, @last
+//   {{> partial key="v" k2=path}}        templates/partials/<partial>.html
+//   {{> partial obj}}                    ... rendered with `obj` as its context
+//   {{! comment }} {{!-- comment with }} inside --}}
+//
+// Lookups walk outwards, so page values stay visible inside loops & partials;
+// anything the page data doesn't have is looked up in the `globals` passed
+// alongside it (site-wide values such as the locale's messages).
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeHtml } from './html.js';
+
+const TOKEN_RE = /\{\{!--[\s\S]*?--\}\}|\{\{(\{)?\s*([\s\S]*?)\s*\}?\}\}/g;
+const BLOCKS = new Set(['if', 'unless', 'each']);
+
+function lineAt(src, offset) {
+    return src.slice(0, offset).split('\n').length;
+}
+
+function templateError(name, line, msg) {
+    return new Error(`Template error in ${name}:${line}: ${msg}`);
+}
+
+function parseArgs(str, name, line) {
+    const args = {};
+    const re = /([\w-]+)=("(?:[^"\\]|\\.)*"|\S+)/g;
+    let m;
+    let consumed = '';
+    while ((m = re.exec(str))) {
+        const raw = m[2];
+        let value;
+        if (raw.startsWith('"')) value = { literal: JSON.parse(raw) };
+        else if (raw === 'true' || raw === 'false') value = { literal: raw === 'true' };
+        else if (/^-?\d+(\.\d+)?$/.test(raw)) value = { literal: Number(raw) };
+        else value = { path: raw };
+        args[m[1]] = value;
+        consumed += m[0];
+    }
+    if (consumed.replace(/\s+/g, '') !== str.replace(/\s+/g, '')) {
+        throw templateError(name, line, `cannot parse partial arguments "${str}"`);
+    }
+    return args;
+}
+
+/** parse template source into a node tree */
+function parse(src, name) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let last = 0;
+    let m;
+    TOKEN_RE.lastIndex = 0;
+
+    const top = () => stack[stack.length - 1];
+    const push = (node) => {
+        const t = top();
+        (t.inElse ? t.elseChildren : t.children).push(node);
+    };
+
+    while ((m = TOKEN_RE.exec(src))) {
+        const raw = !!m[1];
+        const body = m[2] ?? '';
+        const line = lineAt(src, m.index);
+
+        // block, else, comment & partial tags alone on their line leave no blank line behind
+        let start = m.index;
+        let end = TOKEN_RE.lastIndex;
+        if (!raw && /^[#/!>]|^else$/.test(body || '!')) {
+            const lineStart = src.lastIndexOf('\n', m.index - 1) + 1;
+            let lineEnd = src.indexOf('\n', end);
+            if (lineEnd === -1) lineEnd = src.length;
+            if (/^[ \t]*$/.test(src.slice(lineStart, m.index)) && /^[ \t\r]*$/.test(src.slice(end, lineEnd)) && lineStart >= last) {
+                start = lineStart;
+                end = Math.min(lineEnd + 1, src.length);
+            }
+        }
+        if (start > last) push({ type: 'text', value: src.slice(last, start) });
+        last = end;
+        if (m[0].startsWith('{{!')) continue;
+
+        if (raw) {
+            push({ type: 'var', path: body, raw: true, line });
+            continue;
+        }
+        const op = body[0];
+        if (op === '!') continue;
+        if (op === '#') {
+            const [kw, ...rest] = body.slice(1).trim().split(/\s+/);
+            if (!BLOCKS.has(kw)) throw templateError(name, line, `unknown block helper "#${kw}"`);
+            if (rest.length !== 1) throw templateError(name, line, `{{#${kw}}} expects exactly one argument`);
+            const node = { type: kw, path: rest[0], children: [], elseChildren: [], inElse: false, line };
+            push(node);
+            stack.push(node);
+            continue;
+        }
+        if (op === '/') {
+            const kw = body.slice(1).trim();
+            const open = top();
+            if (open.type !== kw) {
+                throw templateError(name, line, open.type === 'root'
+                    ? `unexpected {{/${kw}}}`
+                    : `{{/${kw}}} closes {{#${open.type}}} opened on line ${open.line}`);
+            }
+            stack.pop();
+            continue;
+        }
+        if (body === 'else') {
+            const open = top();
+            if (open.type === 'root' || open.inElse) throw templateError(name, line, 'unexpected {{else}}');
+            open.inElse = true;
+            continue;
+        }
+        if (op === '>') {
+            const [, partial, context, argStr = ''] = /^>\s*([\w-]+)(?:\s+((?:this|@?[\w-]+)(?:\.[\w-]+)*)(?=\s|$))?\s*([\s\S]*)$/.exec(body) || [];
+            if (!partial) throw templateError(name, line, `bad partial tag "{{${body}}}"`);
+            push({ type: 'partial', name: partial, context, args: parseArgs(argStr, name, line), line });
+            continue;
+        }
+        if (!/^(this|@?[\w-]+)(\.[\w-]+)*$/.test(body)) throw templateError(name, line, `bad expression "{{${body}}}"`);
+        push({ type: 'var', path: body, raw: false, line });
+    }
+    if (last < src.length) push({ type: 'text', value: src.slice(last) });
+    if (stack.length > 1) {
+        const open = top();
+        throw templateError(name, open.line, `{{#${open.type}}} is never closed`);
+    }
+    return root;
+}
+
+// a scope is a linked list of frames: { value, data: { index, first, last }, parent }
+function lookup(scope, p) {
+    if (p === 'this') return scope.value;
+    if (p.startsWith('@')) {
+        for (let s = scope; s; s = s.parent) if (s.data) return s.data[p.slice(1)];
+        return undefined;
+    }
+    const [head, ...rest] = p.replace(/^this\./, '').split('.');
+    for (let s = scope; s; s = s.parent) {
+        const v = s.value;
+        if (v !== null && typeof v === 'object' && Object.prototype.hasOwnProperty.call(v, head)) {
+            return rest.reduce((acc, k) => (acc === null || acc === undefined ? undefined : acc[k]), v[head]);
+        }
+        if (p.startsWith('this.')) break;
+    }
+    return undefined;
+}
+
+function truthy(v) {
+    return Array.isArray(v) ? v.length > 0 : !!v;
+}
+
+export async function createTemplateEngine(dir = 'templates') {
+    const partials = new Map();
+    const partialsDir = path.join(dir, 'partials');
+    let files = [];
+    try {
+        files = await fs.readdir(partialsDir);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    for (const f of files.filter(f => f.endsWith('.html')).sort()) {
+        const src = await fs.readFile(path.join(partialsDir, f), 'utf-8');
+        const name = f.replace(/\.html$/, '');
+        partials.set(name, parse(src, `partials/${f}`));
+    }
+
+    function renderNodes(nodes, scope, name) {
+        let out = '';
+        for (const node of nodes) out += renderNode(node, scope, name);
+        return out;
+    }
+
+    function renderNode(node, scope, name) {
+        switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'var': {
+            const v = lookup(scope, node.path);
+            if (v === undefined) throw templateError(name, node.line, `"${node.path}" is undefined`);
+            return node.raw ? (v === null ? '' : String(v)) : escapeHtml(v);
+        }
+        case 'if':
+        case 'unless': {
+            const pass = truthy(lookup(scope, node.path)) === (node.type === 'if');
+            return renderNodes(pass ? node.children : node.elseChildren, scope, name);
+        }
+        case 'each': {
+            const list = lookup(scope, node.path);
+            if (list !== undefined && list !== null && !Array.isArray(list)) {
+                throw templateError(name, node.line, `{{#each ${node.path}}} needs an array`);
+            }
+            if (!truthy(list)) return renderNodes(node.elseChildren, scope, name);
+            return list.map((item, index) => renderNodes(node.children, {
+                value: item,
+                data: { index, first: index === 0, last: index === list.length - 1 },
+                parent: scope,
+            }, name)).join('');
+        }
+        case 'partial': {
+            const tree = partials.get(node.name);
+            if (!tree) throw templateError(name, node.line, `unknown partial "${node.name}"`);
+            let base = scope;
+            if (node.context) {
+                const value = lookup(scope, node.context);
+                if (value === undefined) throw templateError(name, node.line, `"${node.context}" is undefined`);
+                base = { value, data: null, parent: scope };
+            }
+            const args = {};
+            for (const [k, a] of Object.entries(node.args)) args[k] = 'literal' in a ? a.literal : lookup(scope, a.path);
+            return renderNodes(tree.children, { value: args, data: null, parent: base }, `partials/${node.name}.html`);
+        }
+        default:
+            throw new Error(`Unknown template node ${node.type}`);
+        }
+    }
+
+    /** compile template source; returns (data, globals) => html */
+    function compile(src, name = 'template') {
+        const tree = parse(src, name);
+        return (data = {}, globals = null) => {
+            const root = globals ? { value: globals, data: null, parent: null } : null;
+            return renderNodes(tree.children, { value: data, data: null, parent: root }, name);
+        };
+    }
+
+    return { compile, partials: [...partials.keys()] };
+}
@@ -0,0 +1,264 @@
+// scripts/lib/validate.js
+// Checks a built site directory (public/ after generate-articles.js) for the
+// mistakes that otherwise ship silently: leftover template tokens, dead internal
+// links & anchors, sitemap entries without a file, pages sharing a canonical
+// URL, and missing / empty / overlong meta tags. No HTML parser dependency:
+// tags are matched with regular expressions, which is enough for our own output.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SITE_HOSTS = ['yogastraa.com', 'www.yogastraa.com'];
+const DESCRIPTION_MAX = 160;
+const TITLE_MAX = 70;
+
+// directories holding separately built apps, not pages we template
+const SKIP_DIRS = new Set(['admin', 'node_modules', '.git']);
+
+async function walk(root, dir = root, files = []) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIP_DIRS.has(entry.name)) await walk(root, full, files);
+        } else {
+            files.push(path.relative(root, full).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+function parseAttrs(str) {
+    const attrs = {};
+    const re = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let m;
+    while ((m = re.exec(str))) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+    return attrs;
+}
+
+/** every start tag outside comments, scripts & styles: [{ name, attrs, line }] */
+function tags(html) {
+    const blanked = html
+        .replace(/<!--[\s\S]*?-->/g, s => s.replace(/[^\n]/g, ' '))
+        .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (s, open, _n, body, close) => open + body.replace(/[^\n]/g, ' ') + close);
+    const out = [];
+    const re = /<([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    let m;
+    while ((m = re.exec(blanked))) {
+        out.push({ name: m[1].toLowerCase(), attrs: parseAttrs(m[2]), line: blanked.slice(0, m.index).split('\n').length });
+    }
+    return out;
+}
+
+function decodeEntities(s) {
+    return s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+/** internal URL -> { path, hash } relative to the site root, or null for external / non-http links */
+function internalTarget(href, pageUrl) {
+    if (!href || /^(mailto|tel|javascript|data):/i.test(href)) return null;
+    let u;
+    try {
+        u = new URL(decodeEntities(href), `https://${SITE_HOSTS[0]}${pageUrl}`);
+    } catch (e) {
+        return { invalid: true };
+    }
+    if (!/^https?:$/.test(u.protocol) || !SITE_HOSTS.includes(u.host)) return null;
+    return { path: decodeURIComponent(u.pathname), hash: decodeURIComponent(u.hash.slice(1)) };
+}
+
+/** page URL for an output file: knowledge/x/index.html -> /knowledge/x/ */
+function urlFor(file) {
+    return `/${file.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Validate `root`. Resolves { issues: [{ level: 'error'|'warning', file, line, message }], pages }.
+ */
+export async function validateSite(root) {
+    const files = await walk(root);
+    const fileSet = new Set(files);
+    const issues = [];
+    const report = (level, file, line, message) => issues.push({ level, file, line, message });
+
+    // how GitHub Pages resolves a path: exact file, dir/index.html, or (with a redirect) path/ -> index
+    function resolve(p) {
+        const rel = p.replace(/^\/+/, '');
+        if (rel === '' || rel.endsWith('/')) return fileSet.has(`${rel}index.html`) ? { file: `${rel}index.html` } : null;
+        if (fileSet.has(rel)) return { file: rel };
+        if (fileSet.has(`${rel}/index.html`)) return { file: `${rel}/index.html`, redirect: true };
+        if (fileSet.has(`${rel}.html`)) return { file: `${rel}.html` };
+        return null;
+    }
+
+    const pages = new Map(); // file -> { ids, tags, html }
+    for (const file of files.filter(f => f.endsWith('.html'))) {
+        const html = await fs.readFile(path.join(root, file), 'utf-8');
+        const t = tags(html);
+        const ids = new Set(t.flatMap(tag => [tag.attrs.id, tag.name === 'a' ? tag.attrs.name : undefined]).filter(Boolean));
+        pages.set(file, { html, tags: t, ids, hash: crypto.createHash('sha256').update(html).digest('hex') });
+    }
+
+    const titles = new Map();
+    const canonicals = new Map();
+
+    for (const [file, page] of pages) {
+        const { html, tags: t } = page;
+        const lineOf = (offset) => html.slice(0, offset).split('\n').length;
+
+        // leftover template tokens
+        for (const m of html.matchAll(/\{\{[^{}\n]{0,80}\}\}/g)) {
+            report('error', file, lineOf(m.index), `leftover template token ${m[0]}`);
+        }
+
+        // head: title & meta
+        const refresh = t.some(tag => tag.name === 'meta' && (tag.attrs['http-equiv'] || '').toLowerCase() === 'refresh');
+        const noindex = t.some(tag => tag.name === 'meta' && tag.attrs.name === 'robots' && /noindex/i.test(tag.attrs.content || ''));
+        const titleMatch = /<title>([\s\S]*?)<\/title>/i.exec(html);
+        const title = titleMatch ? decodeEntities(titleMatch[1]).trim() : '';
+        if (!title) report('error', file, titleMatch ? lineOf(titleMatch.index) : 1, 'missing or empty <title>');
+        else if (title.length > TITLE_MAX && !refresh) report('warning', file, lineOf(titleMatch.index), `<title> is ${title.length} characters (over ${TITLE_MAX})`);
+        if (title && !refresh && !noindex) {
+            if (!titles.has(title)) titles.set(title, []);
+            titles.get(title).push(file);
+        }
+
+        const metas = t.filter(tag => tag.name === 'meta');
+        if (!metas.some(m => 'charset' in m.attrs)) report('error', file, 1, 'missing <meta charset>');
+        if (!refresh) {
+            if (!metas.some(m => m.attrs.name === 'viewport')) report('error', file, 1, 'missing <meta name="viewport">');
+            const desc = metas.find(m => m.attrs.name === 'description');
+            if (!desc) report('error', file, 1, 'missing <meta name="description">');
+            else if ((desc.attrs.content || '').length > DESCRIPTION_MAX) {
+                report('warning', file, desc.line, `meta description is ${desc.attrs.content.length} characters (over ${DESCRIPTION_MAX})`);
+            }
+        }
+        for (const m of metas) {
+            const key = m.attrs.name || m.attrs.property;
+            if (key && 'content' in m.attrs && !m.attrs.content.trim()) report('error', file, m.line, `empty content in <meta ${m.attrs.name ? 'name' : 'property'}="${key}">`);
+            if (key && !('content' in m.attrs)) report('error', file, m.line, `<meta ${m.attrs.name ? 'name' : 'property'}="${key}"> has no content`);
+        }
+
+        // images need alt text (alt="" is fine for decorative images)
+        for (const img of t.filter(tag => tag.name === 'img' && !('alt' in tag.attrs))) {
+            report('error', file, img.line, `<img src="${img.attrs.src || ''}"> has no alt attribute`);
+        }
+
+        // canonical
+        const canonical = t.find(tag => tag.name === 'link' && (tag.attrs.rel || '').split(/\s+/).includes('canonical'));
+        if (canonical) {
+            const target = internalTarget(canonical.attrs.href, urlFor(file));
+            if (!target || target.invalid) {
+                report('error', file, canonical.line, `canonical URL ${canonical.attrs.href} is not on this site`);
+            } else if (refresh) {
+                // redirect pages point at their target, they don't claim it
+                if (!resolve(target.path)) report('error', file, canonical.line, `redirect target ${canonical.attrs.href} does not resolve to a page`);
+            } else {
+                const key = target.path;
+                if (!canonicals.has(key)) canonicals.set(key, []);
+                canonicals.get(key).push(file);
+            }
+        }
+
+        // links, sources & anchors
+        const pageUrl = urlFor(file);
+        for (const tag of t) {
+            const refs = [];
+            if (['a', 'link', 'area'].includes(tag.name) && tag.attrs.href !== undefined) {
+                if (tag.name === 'link' && /\b(preconnect|dns-prefetch|canonical)\b/.test(tag.attrs.rel || '')) continue;
+                refs.push(tag.attrs.href);
+            }
+            if (['img', 'script', 'source', 'iframe', 'video', 'audio'].includes(tag.name) && tag.attrs.src) refs.push(tag.attrs.src);
+            if (tag.attrs.srcset) refs.push(...tag.attrs.srcset.split(',').map(s => s.trim().split(/\s+/)[0]).filter(Boolean));
+
+            for (const href of refs) {
+                if (href === '#' || href === '') continue;
+                const target = internalTarget(href, pageUrl);
+                if (!target) continue;
+                if (target.invalid) {
+                    report('error', file, tag.line, `invalid URL ${href}`);
+                    continue;
+                }
+                const hit = resolve(target.path);
+                if (!hit) {
+                    report('error', file, tag.line, `dead link ${href}`);
+                    continue;
+                }
+                if (hit.redirect) report('warning', file, tag.line, `${href} only works through a redirect, link to ${target.path}/`);
+                if (target.hash && pages.has(hit.file) && !pages.get(hit.file).ids.has(target.hash)) {
+                    report('error', file, tag.line, `dead anchor ${href} (no id="${target.hash}" in ${hit.file})`);
+                }
+            }
+        }
+    }
+
+    for (const [t, files] of titles) {
+        // byte-identical copies (legacy .html next to the folder URL) aren't separate pages
+        const list = files.filter((f, i) => files.findIndex(g => pages.get(g).hash === pages.get(f).hash) === i);
+        if (list.length > 1) report('warning', list[0], 1, `title "${t}" is also used by ${list.slice(1).join(', ')}`);
+    }
+
+    // several pages may point at one canonical URL only when they are copies of the same page
+    for (const [url, list] of canonicals) {
+        const hit = resolve(url);
+        if (!hit) report('error', list[0], 1, `canonical URL ${url} does not resolve to a page`);
+        else if (hit.redirect) report('warning', list[0], 1, `canonical URL ${url} only works through a redirect, use ${url}/`);
+        const hashes = new Set(list.map(f => pages.get(f).hash));
+        if (hashes.size > 1) report('error', list[0], 1, `canonical URL ${url} is claimed by different pages: ${list.join(', ')}`);
+    }
+
+    // sitemap: a urlset, or a sitemapindex of urlsets (one per locale)
+    if (fileSet.has('sitemap.xml')) {
+        const queue = ['sitemap.xml'];
+        const seen = new Set();
+        while (queue.length) {
+            const file = queue.shift();
+            const xml = await fs.readFile(path.join(root, file), 'utf-8');
+            const isIndex = /<sitemapindex[\s>]/.test(xml);
+            // <loc> entries, plus the hreflang alternates (<xhtml:link href>) of a urlset
+            const refs = [...xml.matchAll(/<loc>([^<]*)<\/loc>|<xhtml:link\b[^>]*\bhref="([^"]*)"/g)];
+            for (const m of refs) {
+                const line = xml.slice(0, m.index).split('\n').length;
+                const loc = decodeEntities((m[1] ?? m[2]).trim());
+                const target = internalTarget(loc, '/');
+                if (!target || target.invalid) {
+                    report('error', file, line, `${loc} is not on this site`);
+                    continue;
+                }
+                const hit = resolve(target.path);
+                if (!hit) {
+                    report('error', file, line, `${loc} does not resolve to a file`);
+                    continue;
+                }
+                if (m[2] !== undefined) continue; // alternates repeat across entries
+                if (seen.has(loc)) {
+                    report('error', file, line, `${loc} is listed twice`);
+                    continue;
+                }
+                seen.add(loc);
+                if (isIndex) queue.push(hit.file);
+                else if (hit.redirect) report('warning', file, line, `${loc} only works through a redirect`);
+            }
+        }
+    } else {
+        report('error', 'sitemap.xml', 1, 'sitemap.xml is missing');
+    }
+
+    issues.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    return { issues, pages: pages.size };
+}
+
+/** human-readable report, grouped by file */
+export function formatReport({ issues, pages }) {
+    const lines = [];
+    let current = null;
+    for (const i of issues) {
+        if (i.file !== current) {
+            current = i.file;
+            lines.push(current);
+        }
+        lines.push(`  ${i.line}: ${i.level.padEnd(7)} ${i.message}`);
+    }
+    const errors = issues.filter(i => i.level === 'error').length;
+    lines.push(`Checked ${pages} pages: ${errors} error${errors === 1 ? '' : 's'}, ${issues.length - errors} warning${issues.length - errors === 1 ? '' : 's'}`);
+    return lines.join('\n');
+}
@@ -0,0 +1,295 @@
+// scripts/stub-backend.js
+// Local stand-in for the backend API, serving a JSON snapshot over HTTP.
+// Run with: node scripts/stub-backend.js [snapshotDir] [port]
+// then:     node scripts/generate-articles.js --api http://localhost:4000
+//
+// Practice library lists page like the API's: GET /asanas/?page=<n> -> { meta, data }
+// (STUB_PAGE_SIZE items per page, default 10).
+//
+// POST /message accepts contact form messages (kept in memory, listed by
+// GET /messages). STUB_FAIL_MESSAGES=<n> answers the first n POSTs with 503,
+// to try the contact form's retry & offline queue; open the page on localhost
+// with ?endpoint=http://localhost:4000/message to point the form here.
+//
+// Account deletion (public/deleteAccount, public/assets/js/account-deletion.js),
+// open that page with ?endpoint=http://localhost:4000/account-deletion:
+//   POST /account-deletion/otp    { identifier }           -> 202 { challengeId, destination, expiresIn, resendIn }
+//   POST /account-deletion/verify { challengeId, code }    -> 200 { token }
+//   POST /account-deletion        { token, scope, dataTypes } -> 201 { requestId, status, ... }
+//   POST /account-deletion/status { requestId, identifier } -> 200 { requestId, status, ... }
+// One-time codes are printed here instead of being emailed / texted
+// (STUB_OTP=<code> fixes the code). Requests move pending -> processing ->
+// completed every STUB_DELETION_STEP_MS (default 60000); GET /deletion-requests lists them.
+import crypto from 'crypto';
+import http from 'http';
+import { COLLECTIONS, PAGED_COLLECTIONS, snapshotSource } from './lib/data-source.js';
+
+const SNAPSHOT_DIR = process.argv[2] || process.env.YOGASTRAA_SNAPSHOT_DIR || 'fixtures/sample-snapshot';
+const PORT = Number(process.argv[3] || process.env.PORT || 4000);
+
+const PAGE_SIZE = Number(process.env.STUB_PAGE_SIZE || 10);
+const MAX_BODY_BYTES = 64 * 1024;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_RE = /^\+?[0-9]{8,15}$/;
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_MS = 30 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const DELETION_STEP_MS = Number(process.env.STUB_DELETION_STEP_MS || 60000);
+// same list as public/deleteAccount/index.html
+const DELETION_DATA_TYPES = ['sessions', 'bookmarks', 'preferences', 'coach'];
+const DELETION_STATUSES = ['pending', 'processing', 'completed'];
+
+const source = snapshotSource(SNAPSHOT_DIR);
+const messages = [];
+const challenges = new Map(); // challengeId -> { identifier, code, expiresAt, sentAt, attempts }
+const tokens = new Map(); // token -> identifier (verified, single use)
+const deletionRequests = [];
+let failuresLeft = Number(process.env.STUB_FAIL_MESSAGES || 0);
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+}
+
+/** one page of a list, shaped like the API's paged responses */
+function pageOf(items, page) {
+    const lastPage = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+    return {
+        meta: { total: items.length, perPage: PAGE_SIZE, currentPage: page, lastPage },
+        data: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    };
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'));
+            } catch (e) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/** same rules as public/assets/js/contact-form.js */
+function messageErrors(body) {
+    const errors = {};
+    const name = String(body.name ?? '').trim();
+    const email = String(body.email ?? '').trim();
+    const message = String(body.message ?? '').trim();
+    if (name.length < 2 || name.length > 100) errors.name = 'name must be 2-100 characters';
+    if (!EMAIL_RE.test(email) || email.length > 254) errors.email = 'email is not valid';
+    if (message.length < 10 || message.length > 2000) errors.message = 'message must be 10-2000 characters';
+    return errors;
+}
+
+async function handleMessage(req, res) {
+    if (failuresLeft > 0) {
+        failuresLeft--;
+        sendJson(res, 503, { error: `Simulated failure (${failuresLeft} left)` });
+        return;
+    }
+    let body;
+    try {
+        body = await readJson(req);
+    } catch (e) {
+        sendJson(res, e.status || 400, { error: e.message });
+        return;
+    }
+    const errors = messageErrors(body);
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { error: 'Validation failed', errors });
+        return;
+    }
+    const saved = { id: messages.length + 1, name: body.name.trim(), email: body.email.trim(), message: body.message.trim(), receivedAt: new Date().toISOString() };
+    messages.push(saved);
+    console.log(`  message #${saved.id} from ${saved.name} <${saved.email}>`);
+    sendJson(res, 201, { ok: true, id: saved.id });
+}
+
+/** email (lower-cased) or phone (digits, optional +), '' when neither */
+function normalizeIdentifier(value) {
+    const v = String(value ?? '').trim();
+    if (EMAIL_RE.test(v) && v.length <= 254) return v.toLowerCase();
+    const phone = v.replace(/[\s().-]/g, '');
+    return PHONE_RE.test(phone) ? phone : '';
+}
+
+/** a***@example.com / ******8836: where the code went, without echoing the identifier */
+function maskIdentifier(identifier) {
+    if (identifier.includes('@')) {
+        const [user, domain] = identifier.split('@');
+        return `${user[0]}***@${domain}`;
+    }
+    return `${'*'.repeat(identifier.length - 4)}${identifier.slice(-4)}`;
+}
+
+/** the stub's clock: status follows the time since the request was made */
+function deletionStatus(request) {
+    const step = Math.floor((Date.now() - Date.parse(request.receivedAt)) / DELETION_STEP_MS);
+    return DELETION_STATUSES[Math.min(step, DELETION_STATUSES.length - 1)];
+}
+
+function publicRequest(request) {
+    const { identifier, ...rest } = request;
+    return { ...rest, status: deletionStatus(request) };
+}
+
+async function handleDeletion(req, res, action) {
+    let body;
+    try {
+        body = await readJson(req);
+    } catch (e) {
+        sendJson(res, e.status || 400, { error: e.message });
+        return;
+    }
+
+    if (action === 'status') {
+        handleDeletionStatus(res, body);
+        return;
+    }
+    if (action === 'otp') {
+        const identifier = normalizeIdentifier(body.identifier);
+        if (!identifier) {
+            sendJson(res, 422, { error: 'Validation failed', errors: { identifier: 'enter the email address or phone number of the account' } });
+            return;
+        }
+        const previous = [...challenges.values()].find(c => c.identifier === identifier && Date.now() - c.sentAt < OTP_RESEND_MS);
+        if (previous) {
+            sendJson(res, 429, { error: 'A code was sent a moment ago', retryAfter: Math.ceil((previous.sentAt + OTP_RESEND_MS - Date.now()) / 1000) });
+            return;
+        }
+        // the real backend answers the same whether or not an account exists
+        const challengeId = crypto.randomUUID();
+        const code = process.env.STUB_OTP || String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        challenges.set(challengeId, { identifier, code, sentAt: Date.now(), expiresAt: Date.now() + OTP_TTL_MS, attempts: 0 });
+        console.log(`  one-time code ${code} for ${identifier}`);
+        sendJson(res, 202, { ok: true, challengeId, destination: maskIdentifier(identifier), expiresIn: OTP_TTL_MS / 1000, resendIn: OTP_RESEND_MS / 1000 });
+        return;
+    }
+
+    if (action === 'verify') {
+        const challenge = challenges.get(String(body.challengeId ?? ''));
+        if (!challenge || challenge.expiresAt < Date.now() || challenge.attempts >= OTP_MAX_ATTEMPTS) {
+            challenges.delete(String(body.challengeId ?? ''));
+            sendJson(res, 410, { error: 'The code has expired. Request a new one.' });
+            return;
+        }
+        if (String(body.code ?? '').trim() !== challenge.code) {
+            challenge.attempts++;
+            sendJson(res, 422, { error: 'Incorrect code', errors: { code: 'the code is not correct' }, attemptsLeft: OTP_MAX_ATTEMPTS - challenge.attempts });
+            return;
+        }
+        challenges.delete(String(body.challengeId));
+        const token = crypto.randomBytes(24).toString('hex');
+        tokens.set(token, challenge.identifier);
+        sendJson(res, 200, { ok: true, token });
+        return;
+    }
+
+    const identifier = tokens.get(String(body.token ?? ''));
+    if (!identifier) {
+        sendJson(res, 401, { error: 'Verification expired. Start again.' });
+        return;
+    }
+    const scope = body.scope === 'data' ? 'data' : body.scope === 'account' ? 'account' : '';
+    const dataTypes = scope === 'data' && Array.isArray(body.dataTypes)
+        ? DELETION_DATA_TYPES.filter(t => body.dataTypes.includes(t))
+        : [];
+    if (!scope || (scope === 'data' && !dataTypes.length)) {
+        sendJson(res, 422, { error: 'Validation failed', errors: { scope: 'choose the whole account or at least one kind of data' } });
+        return;
+    }
+    tokens.delete(body.token);
+    const receivedAt = new Date();
+    const saved = {
+        requestId: `DEL-${receivedAt.toISOString().slice(0, 10).replace(/-/g, '')}-${String(deletionRequests.length + 1).padStart(4, '0')}`,
+        identifier,
+        scope,
+        dataTypes,
+        receivedAt: receivedAt.toISOString(),
+        completeBy: new Date(receivedAt.getTime() + 30 * 24 * 3600 * 1000).toISOString(),
+    };
+    deletionRequests.push(saved);
+    console.log(`  deletion request ${saved.requestId} (${scope === 'account' ? 'account' : dataTypes.join(', ')}) for ${identifier}`);
+    sendJson(res, 201, { ok: true, ...publicRequest(saved) });
+}
+
+function handleDeletionStatus(res, body) {
+    const identifier = normalizeIdentifier(body.identifier);
+    const request = deletionRequests.find(r => r.requestId === String(body.requestId ?? '').toUpperCase());
+    // a wrong identifier looks the same as an unknown ID
+    if (!request || request.identifier !== identifier) {
+        sendJson(res, 404, { error: 'No deletion request with this ID for this email / phone' });
+        return;
+    }
+    sendJson(res, 200, publicRequest(request));
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const name = pathname.replace(/^\/+|\/+$/g, '');
+    console.log(`${req.method} ${pathname}`);
+
+    if (req.method === 'OPTIONS') {
+        // CORS preflight for JSON POSTs from the static site
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '600',
+        });
+        res.end();
+        return;
+    }
+    if (req.method === 'POST' && name === 'message') {
+        await handleMessage(req, res);
+        return;
+    }
+    if (req.method === 'GET' && name === 'messages') {
+        sendJson(res, 200, messages);
+        return;
+    }
+    const deletion = /^account-deletion(?:\/([\w-]+))?$/.exec(name);
+    if (deletion && req.method === 'POST' && [undefined, 'otp', 'verify', 'status'].includes(deletion[1])) {
+        await handleDeletion(req, res, deletion[1] || 'request');
+        return;
+    }
+    if (req.method === 'GET' && name === 'deletion-requests') {
+        sendJson(res, 200, deletionRequests.map(r => ({ ...r, status: deletionStatus(r) })));
+        return;
+    }
+
+    if (req.method === 'GET' && COLLECTIONS.includes(name)) {
+        try {
+            // re-read on every request so snapshot edits show up without a restart
+            const items = await source.load(name);
+            sendJson(res, 200, PAGED_COLLECTIONS.has(name) ? pageOf(items, Number(searchParams.get('page')) || 1) : items);
+        } catch (e) {
+            sendJson(res, 500, { error: e.message });
+        }
+        return;
+    }
+    sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+});
+
+server.listen(PORT, () => {
+    console.log(`Stub backend serving ${source.describe()} on http://localhost:${PORT}`);
+});
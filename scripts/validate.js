@@ -0,0 +1,26 @@
+// scripts/validate.js
+// Run after the generator: node scripts/validate.js [--out public] [--strict]
+// Prints problems found in the built site and exits non-zero when there are
+// errors (or warnings, with --strict), so a broken build never deploys.
+import path from 'path';
+import { parseArgs } from 'util';
+import { formatReport, validateSite } from './lib/validate.js';
+
+const { values } = parseArgs({
+    options: {
+        out: { type: 'string' },
+        strict: { type: 'boolean' },
+    },
+    strict: true,
+});
+const root = path.resolve(values.out || process.env.YOGASTRAA_OUT_DIR || 'public');
+
+validateSite(root).then((result) => {
+    console.log(`Validating ${root}`);
+    console.log(formatReport(result));
+    const errors = result.issues.filter(i => i.level === 'error').length;
+    if (errors || (values.strict && result.issues.length)) process.exit(1);
+}).catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
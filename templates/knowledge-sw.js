@@ -0,0 +1,87 @@
+{{!-- service worker for /knowledge/, written by scripts/generate-articles.js to /knowledge/sw.js --}}
+// Generated by scripts/generate-articles.js, do not edit (template: templates/knowledge-sw.js).
+// Offline reading for the knowledge section: article & tip pages plus shared
+// assets are precached on install; pages are then served stale-while-revalidate.
+const VERSION = '{{VERSION}}'; // changes whenever a precached file changes
+const PRECACHE = `knowledge-${VERSION}`;
+const IMAGES = 'knowledge-images';
+const MAX_IMAGES = 60;
+const PRECACHE_URLS = {{{PRECACHE_JSON}}};
+const OFFLINE_FALLBACK = '{{FALLBACK}}';
+
+self.addEventListener('install', (event) => {
+    // no skipWaiting(): pages show an update prompt and activate the new version on request
+    event.waitUntil(caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(k => k.startsWith('knowledge-') && k !== PRECACHE && k !== IMAGES).map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+    if (event.data && event.data.type === 'GET_VERSION' && event.source) event.source.postMessage({ type: 'VERSION', version: VERSION });
+});
+
+async function trimCache(name, max) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
+
+/** answer from the cache at once, refresh the cached copy in the background */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(PRECACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => { }));
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (e) {
+        if (request.mode === 'navigate') {
+            const fallback = await cache.match(OFFLINE_FALLBACK);
+            if (fallback) return fallback;
+        }
+        throw e;
+    }
+}
+
+async function cacheFirst(request, name) {
+    const cache = await caches.open(name);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        if (name === IMAGES) trimCache(IMAGES, MAX_IMAGES);
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.startsWith('/assets/img/')) {
+        event.respondWith(cacheFirst(request, IMAGES));
+        return;
+    }
+    if (PRECACHE_URLS.includes(url.href) || (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname) && !url.pathname.endsWith('/'))) {
+        event.respondWith(cacheFirst(request, PRECACHE)); // versioned by the cache name
+        return;
+    }
+    if (url.origin === self.location.origin && url.pathname.startsWith('{{SCOPE}}') && (request.mode === 'navigate' || url.pathname.endsWith('/') || url.pathname.endsWith('.json'))) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});